@@ -0,0 +1,269 @@
+/**
+ * Command-line tool for operators
+ *
+ * Checks a deployment's configuration without waiting for the Monday cron:
+ *   npm run cli -- preview week [--subscription <name>] [--calendar <file>]
+ *       Filtered events of each subscription grouped by day, rendered exactly
+ *       like the daily digest Telegram messages (HTML)
+ *   npm run cli -- preview schedule [--month 2026-11] [--scheduler <id>]
+ *       Every slot of each volatility scheduler for a month (default: this month)
+ *   npm run cli -- send test [--topic news|btc|<topicId>] [--chat <chatId>] [--text "..."]
+ *       Send a test message
+ *   npm run cli -- fetch --save <file.json> [--sources thisweek-json,nextweek-json]
+ *       Save a calendar snapshot (replay it with `npm run simulate`)
+ *   npm run cli -- mute <target> --until <2h|ISO time> [--reason "..."]
+ *   npm run cli -- unmute <target>
+ *   npm run cli -- mutes
+ *       Mute a target ("scheduler:<id>", "subscription:<name>", "scheduler:*") until a time,
+ *       remove a mute, list active mutes (the running bot picks them up immediately)
+ *   npm run cli -- history "<indicator title>" [--country USD] [--limit 12]
+ *       Past releases of an indicator recorded from the calendar fetches (Actual vs Forecast)
+ *
+ * Logs default to LOG_LEVEL=warn to keep the output readable.
+ */
+require('dotenv').config({ quiet: true });
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const logger = require('./utils/logger').child({ module: 'cli' });
+const { parseArgs } = require('./utils/cliArgs');
+const { fetchCalendar } = require('./services/fetchCalendar.service');
+const { createLocalFileSource } = require('./services/sources/localFile.source');
+const { applyFilterRules } = require('./services/filterNews.service');
+const { loadSubscriptions } = require('./services/subscription.service');
+const { loadSchedulerDefinitions } = require('./services/schedulerDefinitions.service');
+const { generateMonthlySchedule } = require('./services/scheduleGenerator.service');
+const { sendTestMessage } = require('./services/testMessage.service');
+const { parseMuteUntil, addMute, removeMute, listMutes } = require('./services/suppression.service');
+const { getIndicatorHistory } = require('./services/eventHistory.service');
+const { renderMessage } = require('./services/messageRenderer.service');
+const { formatTelegramAlert } = require('./notifiers/formatters/telegram.formatter');
+const { formatDateTime, formatDateLabel, getDateKey, zonedTimeToDate } = require('./services/timezone.service');
+const { groupEventsByDate } = require('./cron/weeklyFetch.cron');
+
+const USAGE = `Usage: npm run cli -- <command>
+
+  preview week [--subscription <name>] [--calendar <file>]
+  preview schedule [--month YYYY-MM] [--scheduler <id>]
+  send test [--topic news|btc|<topicId>] [--chat <chatId>] [--text "..."]
+  fetch --save <file.json> [--sources <source,...>]
+  mute <target> --until <2h|ISO time> [--reason "..."]
+  unmute <target>
+  mutes
+  history "<indicator title>" [--country USD] [--limit 12]
+`;
+
+/**
+ * Print a line to stdout
+ * @param {string} [text]
+ */
+function print(text = '') {
+    process.stdout.write(`${text}\n`);
+}
+
+/**
+ * Print the filtered events of each subscription as daily digest messages
+ * @param {object} args
+ */
+async function previewWeek(args) {
+    const events =
+        typeof args.calendar === 'string'
+            ? await createLocalFileSource({ name: 'file', file: args.calendar }).fetchEvents()
+            : await fetchCalendar();
+
+    const subscriptions = loadSubscriptions().filter(
+        (subscription) => typeof args.subscription !== 'string' || subscription.name === args.subscription
+    );
+    if (subscriptions.length === 0) {
+        throw new Error(`Unknown subscription "${args.subscription}"`);
+    }
+
+    subscriptions.forEach((subscription) => {
+        const filtered = applyFilterRules(events, subscription.rules);
+        const eventsByDate = groupEventsByDate(filtered);
+        const dates = Object.keys(eventsByDate).sort();
+
+        print(`##### Subscription "${subscription.name}": ${filtered.length} of ${events.length} events, ${dates.length} day(s)`);
+        print();
+
+        dates.forEach((dateKey) => {
+            const layout = formatTelegramAlert({
+                type: 'news-digest',
+                events: eventsByDate[dateKey],
+                dateLabel: formatDateLabel(dateKey),
+            });
+            renderMessage(layout).forEach((message) => {
+                print(message);
+                print();
+            });
+        });
+    });
+}
+
+/**
+ * Print every slot of each scheduler definition for a month
+ * @param {object} args
+ */
+function previewSchedule(args) {
+    if (args.month !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(args.month)) {
+        throw new Error(`Invalid --month "${args.month}" (expected YYYY-MM)`);
+    }
+
+    const definitions = loadSchedulerDefinitions().filter(
+        (definition) => typeof args.scheduler !== 'string' || definition.id === args.scheduler
+    );
+    if (definitions.length === 0) {
+        throw new Error(`Unknown scheduler "${args.scheduler}"`);
+    }
+
+    definitions.forEach((definition) => {
+        const { startTime, timezone, pattern, cloneOffsets, leadMinutes } = definition;
+
+        // Any time inside the month (in the definition's timezone) selects it
+        const month = args.month || getDateKey(new Date().toISOString(), timezone).slice(0, 7);
+        const targetDate = zonedTimeToDate(`${month}-15`, 12, 0, timezone);
+        const schedule = generateMonthlySchedule({ startTime, timezone, targetDate, pattern, cloneOffsets });
+
+        print(`##### ${definition.name} (${definition.level}) [${definition.id}]`);
+        print(
+            `Month: ${month}, timezone: ${timezone}, pattern: +${pattern.join('h -> +')}h, ` +
+                `clones: ${cloneOffsets.map((h) => `+${h}h`).join(', ') || 'none'}, lead: ${leadMinutes} min`
+        );
+        print(`Total slots: ${schedule.length}`);
+        schedule.forEach((date, index) => {
+            print(`${String(index + 1).padStart(4, ' ')} | ${date.toISOString()} | ${formatDateTime(date.toISOString(), timezone)}`);
+        });
+        print();
+    });
+}
+
+/**
+ * Send a test message
+ * @param {object} args
+ */
+async function sendTest(args) {
+    const { chatId, topicId, messageId } = await sendTestMessage({
+        topic: typeof args.topic === 'string' ? args.topic : undefined,
+        chatId: typeof args.chat === 'string' ? args.chat : undefined,
+        text: typeof args.text === 'string' ? args.text : undefined,
+        origin: 'the command-line tool',
+    });
+    print(`Test message ${messageId} sent to chat ${chatId}, topic ${topicId || 'none'}`);
+}
+
+/**
+ * Fetch the calendar and save it as a JSON snapshot
+ * @param {object} args
+ */
+async function fetchSnapshot(args) {
+    if (typeof args.save !== 'string') {
+        throw new Error('fetch requires --save <file.json>');
+    }
+
+    const options = typeof args.sources === 'string' ? { sources: args.sources.split(',').map((s) => s.trim()) } : {};
+    const events = await fetchCalendar(options);
+
+    fs.writeFileSync(args.save, `${JSON.stringify(events, null, 2)}\n`);
+    print(`Saved ${events.length} events to ${args.save}`);
+}
+
+/**
+ * Mute a target until a time
+ * @param {object} args
+ */
+function mute(args) {
+    const [, target] = args._;
+    if (!target || typeof args.until !== 'string') {
+        throw new Error('mute requires a target and --until <2h|ISO time>');
+    }
+
+    const saved = addMute(target, parseMuteUntil(args.until), typeof args.reason === 'string' ? args.reason : '');
+    print(`${saved.target} muted until ${formatDateTime(saved.until)}`);
+}
+
+/**
+ * Remove the mute of a target
+ * @param {object} args
+ */
+function unmute(args) {
+    const [, target] = args._;
+    if (!target) {
+        throw new Error('unmute requires a target');
+    }
+    if (!removeMute(target)) {
+        throw new Error(`No mute for "${target}"`);
+    }
+    print(`${target} unmuted`);
+}
+
+/**
+ * List the active mutes
+ */
+function printMutes() {
+    const mutes = listMutes();
+    if (mutes.length === 0) {
+        print('No active mutes');
+        return;
+    }
+    mutes.forEach((m) => print(`${m.target} until ${formatDateTime(m.until)}${m.reason ? ` (${m.reason})` : ''}`));
+}
+
+/**
+ * Print the past releases of an indicator
+ * @param {object} args
+ */
+function printHistory(args) {
+    const [, title] = args._;
+    if (!title) {
+        throw new Error('history requires an indicator title, e.g. history "CPI m/m" --country USD');
+    }
+
+    const country = typeof args.country === 'string' ? args.country : 'USD';
+    const limit = args.limit !== undefined ? parseInt(args.limit, 10) : 12;
+    if (!(limit > 0)) {
+        throw new Error(`Invalid --limit "${args.limit}" (expected a positive number)`);
+    }
+
+    const releases = getIndicatorHistory(title, country, { limit });
+    if (releases.length === 0) {
+        print(`No history for "${title}" (${country})`);
+        return;
+    }
+
+    print(`##### ${title} (${country}): last ${releases.length} release(s)`);
+    releases.forEach((r) => {
+        const figures = `actual ${r.actual || '-'} | forecast ${r.forecast || '-'} | previous ${r.previous || '-'}`;
+        print(`${formatDateTime(r.date)} | ${figures}${r.surprise ? ` | ${r.surprise}` : ''}`);
+    });
+}
+
+const COMMANDS = {
+    'preview week': previewWeek,
+    'preview schedule': previewSchedule,
+    'send test': sendTest,
+    fetch: fetchSnapshot,
+    mute,
+    unmute,
+    mutes: printMutes,
+    history: printHistory,
+};
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [first, second] = args._;
+    const command = COMMANDS[`${first} ${second}`] || COMMANDS[first];
+
+    if (!command) {
+        process.stderr.write(USAGE);
+        process.exit(args._.length === 0 || args.help ? 0 : 2);
+    }
+
+    await command(args);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        logger.error('Command failed:', error.message);
+        process.exit(1);
+    });
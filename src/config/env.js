@@ -4,23 +4,227 @@
  */
 require('dotenv').config();
 
+/**
+ * Parse a comma separated list of minutes ("60,15,5"), longest lead first
+ * @param {string} [value]
+ * @returns {Array<number>|null} null when not set
+ */
+function parseMinutesList(value) {
+  if (!value) return null;
+  return value
+    .split(',')
+    .map((v) => parseInt(v, 10))
+    .filter((v) => v > 0)
+    .sort((a, b) => b - a);
+}
+
+/**
+ * Parse a "HH:MM" time of day
+ * @param {string} value
+ * @returns {{ hour: number, minute: number }}
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time of day "${value}" (expected HH:MM)`);
+  }
+  return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
 const config = {
   telegram: {
     botToken: process.env.TELEGRAM_BOT_TOKEN,
     groupId: process.env.TELEGRAM_GROUP_ID || process.env.TELEGRAM_CHANNEL_ID,
     newsTopicId: process.env.TELEGRAM_NEWS_TOPIC_ID,
     btcTopicId: process.env.TELEGRAM_BTC_TOPIC_ID,
+    // Answer /today, /week, /next, /schedule, /status via long polling
+    commandsEnabled: process.env.TELEGRAM_COMMANDS_ENABLED !== 'false',
   },
   api: {
     calendarUrl: process.env.FAIR_ECONOMY_CALENDAR_URL,
+    nextWeekUrl:
+      process.env.FAIR_ECONOMY_NEXTWEEK_URL ||
+      'https://nfs.faireconomy.media/ff_calendar_nextweek.json',
+    xmlUrl:
+      process.env.FAIR_ECONOMY_CALENDAR_XML_URL ||
+      'https://nfs.faireconomy.media/ff_calendar_thisweek.xml',
+    // Timezone of the dates/times in the XML feed (it carries no offset)
+    xmlTimezone: process.env.FAIR_ECONOMY_XML_TIMEZONE || 'UTC',
+    // Local JSON/CSV file used by the "file" source
+    overrideFile: process.env.CALENDAR_OVERRIDE_FILE,
+    // Sources to fetch and merge, in order (later sources override earlier ones)
+    sources: (process.env.CALENDAR_SOURCES || 'thisweek-json')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean),
+    // Intra-week refresh that reconciles jobs with the latest feed (empty to disable)
+    refreshCron: process.env.CALENDAR_REFRESH_CRON ?? '15 * * * *',
+  },
+  filter: {
+    // Optional path to a JSON file with filter rules (defaults to High-impact USD only)
+    rulesFile: process.env.FILTER_RULES_FILE,
+  },
+  subscriptions: {
+    // Optional JSON file with one entry per destination (chat, topic, filter, alert types)
+    file: process.env.SUBSCRIPTIONS_FILE,
   },
   timezone: {
-    // Offset from UTC in hours (e.g., 7 for UTC+7)
-    offset: parseInt(process.env.TIMEZONE_OFFSET, 10) || 7,
+    // IANA timezone used to display times in messages
+    display: process.env.DISPLAY_TIMEZONE || 'Asia/Ho_Chi_Minh',
+    // IANA timezone for calendar days and wall-clock schedules (daily digest, Monday fetch)
+    schedule: process.env.SCHEDULE_TIMEZONE || process.env.DISPLAY_TIMEZONE || 'Asia/Ho_Chi_Minh',
+  },
+  preEvent: {
+    // Minutes before each event to send a heads-up (comma separated, e.g. "60,15,5")
+    leadMinutes: parseMinutesList(process.env.PRE_EVENT_LEAD_MINUTES) || [5],
+    // Per impact level overrides; a filter rule's "leadMinutes" overrides both
+    leadMinutesByImpact: {
+      High: parseMinutesList(process.env.PRE_EVENT_LEAD_MINUTES_HIGH),
+      Medium: parseMinutesList(process.env.PRE_EVENT_LEAD_MINUTES_MEDIUM),
+      Low: parseMinutesList(process.env.PRE_EVENT_LEAD_MINUTES_LOW),
+    },
+    // Events released within N minutes of each other share one alert (0 = same time only)
+    groupWindowMinutes: parseInt(process.env.PRE_EVENT_GROUP_WINDOW_MINUTES, 10) || 0,
+  },
+  digest: {
+    // Time of the daily digest in the scheduling timezone
+    ...parseTimeOfDay(process.env.DIGEST_TIME || '07:00'),
+  },
+  outlook: {
+    // Pin the Monday weekly outlook in its topic, replacing last week's pin
+    pin: process.env.WEEKLY_OUTLOOK_PIN !== 'false',
+    // Sunday evening preview of next week (nextweek-json feed)
+    preview: process.env.WEEKLY_PREVIEW_ENABLED === 'true',
+    previewTime: parseTimeOfDay(process.env.WEEKLY_PREVIEW_TIME || '18:00'),
+    // Message pinned in each topic, so the next pin replaces it after a restart
+    pinsFile: process.env.PINNED_MESSAGES_FILE || 'data/pins.json',
+  },
+  followUp: {
+    // Minutes after the release to check for the actual figure
+    delayMinutes: parseInt(process.env.FOLLOW_UP_DELAY_MINUTES, 10) || 3,
+    // Checks before giving up when the feed has no actual yet
+    maxAttempts: parseInt(process.env.FOLLOW_UP_MAX_ATTEMPTS, 10) || 6,
+    // Backoff between checks: base * 2^attempt, capped
+    retryBaseMinutes: parseInt(process.env.FOLLOW_UP_RETRY_BASE_MINUTES, 10) || 2,
+    retryMaxMinutes: parseInt(process.env.FOLLOW_UP_RETRY_MAX_MINUTES, 10) || 30,
+  },
+  outbox: {
+    // Minimum gap between two messages to the same chat (Telegram: ~20 msg/min per group)
+    chatIntervalMs: parseInt(process.env.OUTBOX_CHAT_INTERVAL_MS, 10) || 3000,
+    // Attempts per message before it goes to the dead-letter list
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 5,
+    retryBaseMs: parseInt(process.env.OUTBOX_RETRY_BASE_MS, 10) || 2000,
+    retryMaxMs: parseInt(process.env.OUTBOX_RETRY_MAX_MS, 10) || 60000,
+    deadLetterFile: process.env.OUTBOX_DEAD_LETTER_FILE || 'data/dead-letter.json',
+  },
+  notifiers: {
+    // Notifiers used for each kind of alert (comma separated): telegram, discord, slack, webhook, email
+    news: (process.env.NEWS_NOTIFIERS || 'telegram')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean),
+    scheduler: (process.env.SCHEDULER_NOTIFIERS || 'telegram')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean),
+    discord: {
+      news: process.env.DISCORD_NEWS_WEBHOOK_URL || process.env.DISCORD_WEBHOOK_URL,
+      scheduler: process.env.DISCORD_SCHEDULER_WEBHOOK_URL || process.env.DISCORD_WEBHOOK_URL,
+    },
+    slack: {
+      news: process.env.SLACK_NEWS_WEBHOOK_URL || process.env.SLACK_WEBHOOK_URL,
+      scheduler: process.env.SLACK_SCHEDULER_WEBHOOK_URL || process.env.SLACK_WEBHOOK_URL,
+    },
+    webhook: {
+      url: process.env.WEBHOOK_URL,
+      authHeader: process.env.WEBHOOK_AUTH_HEADER,
+    },
+    email: {
+      smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+      from: process.env.EMAIL_FROM,
+      to: {
+        news: process.env.EMAIL_NEWS_TO || process.env.EMAIL_TO,
+        scheduler: process.env.EMAIL_SCHEDULER_TO || process.env.EMAIL_TO,
+      },
+    },
+  },
+  admin: {
+    // HTTP admin API (/health, /jobs, /refresh, /test-alert); disabled when no port is set
+    port: parseInt(process.env.ADMIN_API_PORT, 10) || null,
+    host: process.env.ADMIN_API_HOST || '127.0.0.1',
+    // Required when the API is enabled: "Authorization: Bearer <token>"
+    token: process.env.ADMIN_API_TOKEN,
+  },
+  logging: {
+    // debug | info | warn | error
+    level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'development' ? 'debug' : 'info'),
+    // text (human readable) | json (one object per line, for Loki & co.)
+    format: process.env.LOG_FORMAT || 'text',
+    // Optional log file, rotated daily and when it reaches maxSizeMb
+    file: process.env.LOG_FILE,
+    maxSizeMb: parseFloat(process.env.LOG_MAX_SIZE_MB) || 10,
+    // Rotated files older than this are deleted (0 = keep all)
+    retentionDays: Number(process.env.LOG_RETENTION_DAYS || '14'),
+    // Scheduler definitions' monthly slot lists, one file per definition: schedule-<id>.log
+    scheduleDir: process.env.SCHEDULE_LOG_DIR || 'logs',
+  },
+  suppression: {
+    // Optional JSON file with quiet hours and holiday blackouts (see suppression.example.json)
+    file: process.env.SUPPRESSION_FILE,
+    // Ad-hoc "mute until" entries, managed with the CLI and the admin API
+    mutesFile: process.env.MUTES_FILE || 'data/mutes.json',
+    // Send a summary of the alerts held back when a quiet period ends
+    catchUp: process.env.SUPPRESSION_CATCH_UP === 'true',
+  },
+  calendarExport: {
+    // .ics files of the week's filtered events and the schedulers' monthly slots
+    enabled: process.env.ICS_EXPORT_ENABLED !== 'false',
+    dir: process.env.ICS_EXPORT_DIR || 'data/ics',
+    // Also post each new file to its topic as a Telegram document
+    postToTelegram: process.env.ICS_POST_TO_TELEGRAM === 'true',
+  },
+  marketReaction: {
+    // Price snapshots around high-impact events, reported in the BTC topic
+    enabled: process.env.MARKET_REACTION_ENABLED === 'true',
+    // Snapshots after the release, in minutes (the first one is taken at the pre-event alert time)
+    minutesAfter: (parseMinutesList(process.env.MARKET_REACTION_MINUTES) || [60, 15, 5]).reverse(),
+    // binance (Binance-style REST API) | file (local JSON price points, offline testing)
+    source: process.env.PRICE_SOURCE || 'binance',
+    symbol: process.env.PRICE_SYMBOL || 'BTCUSDT',
+    binanceUrl: process.env.BINANCE_API_URL || 'https://api.binance.com',
+    file: process.env.PRICE_FILE,
+  },
+  history: {
+    // JSON archive of every fetched release per indicator (title + country), with its final actual
+    file: process.env.HISTORY_FILE || 'data/history.json',
+    // Past results shown in pre-event alerts (0 = none)
+    alertReleases: parseInt(process.env.HISTORY_ALERT_RELEASES || '3', 10),
+  },
+  store: {
+    // JSON file that records every planned alert and its delivery state
+    file: process.env.ALERT_STORE_FILE || 'data/alerts.json',
+  },
+  schedulers: {
+    // Optional JSON file with several scheduler definitions (replaces the SCHEDULER_* values)
+    file: process.env.SCHEDULERS_FILE,
+    // Jobs are kept for the slots of the next N hours...
+    horizonHours: parseInt(process.env.SCHEDULER_HORIZON_HOURS, 10) || 48,
+    // ...and the window is regenerated on this cron
+    refreshCron: process.env.SCHEDULER_REFRESH_CRON || '*/10 * * * *',
   },
   scheduler: {
     startTime: process.env.SCHEDULER_START_TIME || '2026-02-09T17:00:00',
-    timezone: process.env.SCHEDULER_TIMEZONE || 'Asia/Ho_Chi_Minh',
+    timezone:
+      process.env.SCHEDULER_TIMEZONE ||
+      process.env.SCHEDULE_TIMEZONE ||
+      process.env.DISPLAY_TIMEZONE ||
+      'Asia/Ho_Chi_Minh',
     name: process.env.SCHEDULER_NAME || 'BTC biến động',
     level: process.env.SCHEDULER_LEVEL || '🟠 Trung bình',
   },
@@ -41,4 +245,32 @@ for (const { key, value } of requiredVars) {
   }
 }
 
+if (!['debug', 'info', 'warn', 'error'].includes(config.logging.level)) {
+  throw new Error(`Invalid LOG_LEVEL "${config.logging.level}" (expected debug, info, warn or error)`);
+}
+if (!['binance', 'file'].includes(config.marketReaction.source)) {
+  throw new Error(`Invalid PRICE_SOURCE "${config.marketReaction.source}" (expected binance or file)`);
+}
+if (!['text', 'json'].includes(config.logging.format)) {
+  throw new Error(`Invalid LOG_FORMAT "${config.logging.format}" (expected text or json)`);
+}
+if (!Number.isInteger(config.logging.retentionDays) || config.logging.retentionDays < 0) {
+  throw new Error(`Invalid LOG_RETENTION_DAYS "${process.env.LOG_RETENTION_DAYS}" (expected a whole number of days >= 0)`);
+}
+
+// Validate IANA timezones (Intl throws a RangeError for unknown zones)
+const timezoneVars = [
+  { key: 'DISPLAY_TIMEZONE', value: config.timezone.display },
+  { key: 'SCHEDULE_TIMEZONE', value: config.timezone.schedule },
+  { key: 'SCHEDULER_TIMEZONE', value: config.scheduler.timezone },
+];
+
+for (const { key, value } of timezoneVars) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+  } catch (error) {
+    throw new Error(`Invalid IANA timezone in ${key}: ${value}`);
+  }
+}
+
 module.exports = config;
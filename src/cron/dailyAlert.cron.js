@@ -3,63 +3,109 @@
  *
  * Responsible for sending Telegram alerts for High-impact USD news
  * on specific days. These cron jobs are dynamically scheduled by
- * the weekly fetch cron (weeklyFetch.cron.js).
+ * the weekly fetch cron (weeklyFetch.cron.js), once per subscription,
+ * and deliver to that subscription's destination.
+ *
+ * Events released together (same time, or within PRE_EVENT_GROUP_WINDOW_MINUTES)
+ * share one pre-event alert. After each event, a follow-up job posts the
+ * released figures (Actual vs Forecast) once the calendar feed has them.
+ *
+ * Every alert goes through the durable alert store (alertScheduler.service.js),
+ * so restarts neither lose a due alert nor send a delivered one again.
  */
-const cron = require('node-cron');
-const logger = require('../utils/logger');
-const { sendNewsAlert, sendSingleEventAlert } = require('../services/telegram.service');
-const { formatDateTime, getDateKey, getEventAlertTime } = require('../services/timezone.service');
+const logger = require('../utils/logger').child({ module: 'dailyAlert' });
+const config = require('../config/env');
+const {
+    sendNewsAlert,
+    sendPreEventAlert,
+    sendOutcomeAlert,
+} = require('../services/notifier.service');
+const {
+    SCHEDULE_TIMEZONE,
+    formatDateTime,
+    formatDateLabel,
+    zonedTimeToDate,
+} = require('../services/timezone.service');
+const { scheduleAlertJob, deliverAlert, retryAlertLater } = require('../services/alertScheduler.service');
+const { cancelAlert, expireAlert, getAlert } = require('../services/alertStore.service');
+const { findReleasedEvent, getOutcomeVerdict } = require('../services/eventOutcome.service');
+const { getDestination, getAlertTarget } = require('../services/subscription.service');
+const { recordJobScheduled } = require('../services/metrics.service');
+const clock = require('../utils/clock');
+
+// Scheduled alert tasks keyed by alert id so they can be cancelled: { task, eventKeys }
+// (for a follow-up waiting for data, the task is its pending retry)
+const scheduledAlerts = new Map();
 
-// Store references to scheduled daily alert tasks so they can be cancelled
-const scheduledAlerts = [];
+// Follow-ups checking the feed in this process, keyed by alert id: { attempt, nextAt, expiresAt, run }
+// A chain survives a full reschedule (cancelAllAlerts), which resumes it where it was
+// instead of starting over; `run` tells the current job from superseded ones.
+const followUpChains = new Map();
+
+/**
+ * Build a stable key for an event (used in alert ids)
+ * @param {object} event - Calendar event
+ * @returns {string}
+ */
+function getEventKey(event) {
+    return `${event.country}|${event.title}|${new Date(event.date).toISOString()}`;
+}
+
+/**
+ * Keep track of a scheduled task, replacing any previous task with the same id
+ * @param {string} id - Alert id
+ * @param {object|null} task - node-cron task
+ * @param {Array<string>} [eventKeys] - Events covered by the alert (pre-event alerts)
+ */
+function trackAlert(id, task, eventKeys = []) {
+    const previous = scheduledAlerts.get(id);
+    if (previous && previous.task) {
+        previous.task.stop();
+    }
+    scheduledAlerts.set(id, { task, eventKeys });
+}
 
 /**
  * Schedule a daily alert for a specific date
- * Sends alert at 07:00 AM (UTC+7) on the given date
+ * Sends alert at the configured digest time (default 07:00, scheduling
+ * timezone, DST-aware) on the given date
  *
- * @param {string} dateKey - Date string in YYYY-MM-DD format (UTC+7)
+ * @param {object} subscription - Subscription receiving the digest
+ * @param {string} dateKey - Date string in YYYY-MM-DD format (scheduling timezone)
  * @param {Array} events - Filtered events for that date
  */
-function scheduleDailyAlert(dateKey, events) {
-    // Parse the date key to extract day, month
-    const [year, month, day] = dateKey.split('-').map(Number);
+function scheduleDailyAlert(subscription, dateKey, events) {
+    const { hour, minute } = config.digest;
+    const fireAt = zonedTimeToDate(dateKey, hour, minute, SCHEDULE_TIMEZONE);
+    const timeStr = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
 
-    // Schedule at 07:00 AM on the target date
-    // node-cron format: second minute hour dayOfMonth month dayOfWeek
-    // Note: node-cron months are 1-12, matching our format
-    const cronExpression = `0 0 7 ${day} ${month} *`;
+    // A late digest is still useful until the last event of the day has been released
+    const expiresAt = new Date(Math.max(...events.map((e) => new Date(e.date).getTime())));
 
-    logger.info(
-        `Scheduling alert for ${dateKey} at 07:00 AM (UTC+7) | Cron: ${cronExpression}`
-    );
+    logger.info(`[${subscription.name}] Scheduling alert for ${dateKey} at ${timeStr} (${SCHEDULE_TIMEZONE})`);
     logger.info(`  → ${events.length} events to alert:`);
     events.forEach((e) => {
-        logger.info(`    - ${e.title} at ${formatDateTime(e.date)}`);
+        logger.info(`    - ${e.title} at ${formatDateTime(e.date)} [rule: ${e.matchedRule}]`);
     });
 
-    const task = cron.schedule(
-        cronExpression,
-        async () => {
-            try {
-                logger.info(`🔔 Daily alert triggered for ${dateKey}`);
-
-                // Format date label for the message
-                const dateLabel = `${day.toString().padStart(2, '0')}/${month
-                    .toString()
-                    .padStart(2, '0')}/${year}`;
-
-                await sendNewsAlert(events, dateLabel);
-                logger.info(`✅ Alert sent successfully for ${dateKey}`);
-            } catch (error) {
-                logger.error(`Failed to send alert for ${dateKey}:`, error.message);
-            }
+    const id = `daily:${subscription.name}:${dateKey}`;
+    const log = logger.child({ alertId: id, subscription: subscription.name });
+    const task = scheduleAlertJob({
+        id,
+        type: 'daily',
+        fireAt,
+        expiresAt,
+        label: `[${subscription.name}] daily digest ${dateKey}`,
+        payload: { subscription: subscription.name, dateKey, events },
+        target: getAlertTarget(subscription),
+        send: async () => {
+            log.info(`🔔 Daily alert triggered for ${dateKey} [${subscription.name}]`, { event: 'alert.triggered' });
+            await sendNewsAlert(events, formatDateLabel(dateKey), getDestination(subscription));
         },
-        {
-            timezone: 'Asia/Ho_Chi_Minh', // UTC+7
-        }
-    );
+    });
 
-    scheduledAlerts.push(task);
+    if (task) recordJobScheduled('daily');
+    trackAlert(id, task);
 }
 
 /**
@@ -67,48 +113,264 @@ function scheduleDailyAlert(dateKey, events) {
  * Called before setting up new alerts each week
  */
 function cancelAllAlerts() {
-    logger.info(`Cancelling ${scheduledAlerts.length} existing daily alerts`);
-    scheduledAlerts.forEach((task) => task.stop());
-    scheduledAlerts.length = 0; // Clear the array
+    logger.info(`Cancelling ${scheduledAlerts.size} existing daily alerts`);
+    scheduledAlerts.forEach(({ task }, id) => {
+        if (task) task.stop();
+        cancelAlert(id);
+    });
+    scheduledAlerts.clear();
+
+    // Follow-ups that are not rescheduled are forgotten once their retry window is over
+    const now = clock.nowMs();
+    followUpChains.forEach((chain, id) => {
+        if (chain.expiresAt.getTime() <= now) followUpChains.delete(id);
+    });
 }
 
 /**
- * Schedule a pre-event alert (5 minutes before the event)
- * Sends alert for a single event at event_time - 5 minutes
+ * Cancel a single scheduled alert by id
+ * @param {string} id - Alert id
+ */
+function cancelScheduledAlert(id) {
+    const entry = scheduledAlerts.get(id);
+    if (entry && entry.task) {
+        entry.task.stop();
+    }
+    scheduledAlerts.delete(id);
+    cancelAlert(id);
+}
+
+/**
+ * Cancel the daily digest of a date
+ * @param {object} subscription
+ * @param {string} dateKey - Date string in YYYY-MM-DD format (scheduling timezone)
+ */
+function cancelDailyAlert(subscription, dateKey) {
+    cancelScheduledAlert(`daily:${subscription.name}:${dateKey}`);
+}
+
+/**
+ * Cancel the pre-event alerts covering an event (with the other events of its group)
+ * @param {object} subscription
+ * @param {object} event - Event as it was scheduled
+ */
+function cancelPreEventAlerts(subscription, event) {
+    const key = getEventKey(event);
+
+    // One pre-event alert per lead time; the leads may have changed since they were scheduled
+    const preEventPrefix = `pre-event:${subscription.name}:`;
+    [...scheduledAlerts.entries()]
+        .filter(([id, { eventKeys }]) => id.startsWith(preEventPrefix) && eventKeys.includes(key))
+        .forEach(([id]) => cancelScheduledAlert(id));
+}
+
+/**
+ * Cancel the pre-event alerts and the follow-up of an event
+ * @param {object} subscription
+ * @param {object} event - Event as it was scheduled
+ */
+function cancelEventAlerts(subscription, event) {
+    const key = getEventKey(event);
+
+    cancelPreEventAlerts(subscription, event);
+
+    const followUpId = `follow-up:${subscription.name}:${key}`;
+    cancelScheduledAlert(followUpId);
+    followUpChains.delete(followUpId);
+}
+
+/**
+ * Lead times (minutes before the event) for an event's pre-event alerts
+ * Rule-specific leads win over the impact level's, which win over the default.
+ * @param {object} event - Filtered event
+ * @returns {Array<number>} Longest lead first
+ */
+function getLeadMinutes(event) {
+    const { leadMinutes, leadMinutesByImpact } = config.preEvent;
+    return event.leadMinutes || leadMinutesByImpact[event.impact] || leadMinutes;
+}
+
+/**
+ * Schedule the pre-event alerts of a group of events released together,
+ * one per lead time (e.g. 60, 15 and 5 min before the first event)
+ * Each alert lists every event of the group and states the time actually
+ * remaining when it is sent. The group gets the lead times of all its events.
  *
- * @param {object} event - Single event object with date, title, etc.
+ * @param {object} subscription - Subscription receiving the alert
+ * @param {Array} events - Events released together (see releaseGroups.service.js), sorted by time
  */
-function schedulePreEventAlert(event) {
-    // Get alert time (5 minutes before event)
-    const { hour, minute, day, month } = getEventAlertTime(event.date);
-
-    // Create cron expression: second minute hour dayOfMonth month dayOfWeek
-    const cronExpression = `0 ${minute} ${hour} ${day} ${month} *`;
-
-    const eventTimeStr = formatDateTime(event.date);
-    logger.info(
-        `Scheduling pre-event alert for "${event.title}" at ${hour}:${minute
-            .toString()
-            .padStart(2, '0')} (5 min before ${eventTimeStr}) | Cron: ${cronExpression}`
-    );
+function schedulePreEventAlert(subscription, events) {
+    const [first] = events;
+    const eventDate = new Date(first.date);
+    const eventTimeStr = formatDateTime(first.date);
+    const leads = [...new Set(events.flatMap(getLeadMinutes))].sort((a, b) => b - a);
 
-    const task = cron.schedule(
-        cronExpression,
-        async () => {
-            try {
-                logger.info(`⏰ Pre-event alert triggered for: ${event.title}`);
-                await sendSingleEventAlert(event);
-                logger.info(`✅ Pre-event alert sent successfully for: ${event.title}`);
-            } catch (error) {
-                logger.error(`Failed to send pre-event alert for ${event.title}:`, error.message);
-            }
-        },
-        {
-            timezone: 'Asia/Ho_Chi_Minh', // UTC+7
-        }
+    // A single event keeps its own key, so its alert ids do not depend on grouping
+    const eventKeys = events.map(getEventKey);
+    const groupKey = eventKeys.join('+');
+    const titles = events.map((e) => `"${e.title}"`).join(', ');
+
+    leads.forEach((leadMinutes, index) => {
+        const fireAt = new Date(eventDate.getTime() - leadMinutes * 60 * 1000);
+
+        // A missed heads-up is only worth sending until the next (shorter) one is due
+        const nextLead = leads[index + 1];
+        const expiresAt = nextLead ? new Date(eventDate.getTime() - nextLead * 60 * 1000) : eventDate;
+
+        logger.info(
+            `[${subscription.name}] Scheduling pre-event alert for ${titles} at ${formatDateTime(
+                fireAt.toISOString()
+            )} (${leadMinutes} min before ${eventTimeStr}) [rule: ${events.map((e) => e.matchedRule).join(', ')}]`
+        );
+
+        const id = `pre-event:${subscription.name}:${groupKey}:${leadMinutes}`;
+        const log = logger.child({ alertId: id, subscription: subscription.name, eventTitle: first.title });
+        const task = scheduleAlertJob({
+            id,
+            type: 'pre-event',
+            fireAt,
+            expiresAt,
+            label: `[${subscription.name}] pre-event ${titles} (${leadMinutes} min)`,
+            payload: { subscription: subscription.name, events, leadMinutes },
+            target: getAlertTarget(subscription),
+            send: async () => {
+                log.info(`⏰ Pre-event alert triggered for: ${titles} [${subscription.name}, ${leadMinutes} min]`, {
+                    event: 'alert.triggered',
+                    leadMinutes,
+                    events: events.length,
+                });
+                await sendPreEventAlert(events, getDestination(subscription));
+            },
+        });
+
+        if (task) recordJobScheduled('pre-event');
+        trackAlert(id, task, eventKeys);
+    });
+}
+
+/**
+ * Check whether an event's actual figure is out and post it,
+ * retrying with exponential backoff while the feed has no `actual` yet
+ *
+ * @param {object} subscription - Subscription receiving the result
+ * @param {object} event - Event we are following up on
+ * @param {string} id - Alert id of the follow-up
+ * @param {string} label - Description for logs
+ * @param {object} chain - Follow-up chain (see followUpChains); `attempt` is the 0-based attempt number
+ * @param {number} run - Run of the chain this job belongs to
+ */
+async function checkEventOutcome(subscription, event, id, label, chain, run) {
+    const { maxAttempts, retryBaseMinutes, retryMaxMinutes } = config.followUp;
+    const log = logger.child({ alertId: id, subscription: subscription.name, eventTitle: event.title });
+
+    // Stop once the chain was superseded by a reschedule or cancelled by a calendar refresh
+    const isCurrent = () => followUpChains.get(id) === chain && chain.run === run;
+    if (!isCurrent()) return;
+
+    // ... or once the follow-up was sent
+    const record = getAlert(id);
+    if (!record || record.status !== 'pending') {
+        followUpChains.delete(id);
+        return;
+    }
+
+    let released = null;
+    try {
+        released = await findReleasedEvent(event);
+    } catch (error) {
+        log.error(`Follow-up check for "${event.title}" failed:`, error.message, { event: 'follow-up.check_failed' });
+    }
+
+    // The chain may have been rescheduled or cancelled while the feed was fetched
+    if (!isCurrent()) return;
+
+    if (released && released.actual) {
+        followUpChains.delete(id);
+        await deliverAlert(id, label, async () => {
+            log.info(`📢 Posting result for: ${event.title}`, { event: 'alert.triggered' });
+            await sendOutcomeAlert(
+                { ...event, ...released },
+                getOutcomeVerdict(released.actual, released.forecast),
+                getDestination(subscription)
+            );
+        });
+        return;
+    }
+
+    const { attempt } = chain;
+    if (attempt + 1 >= maxAttempts) {
+        log.warn(`No actual figure for "${event.title}" after ${maxAttempts} checks, giving up`, {
+            event: 'follow-up.gave_up',
+        });
+        followUpChains.delete(id);
+        expireAlert(id);
+        return;
+    }
+
+    const delayMinutes = Math.min(retryBaseMinutes * 2 ** attempt, retryMaxMinutes);
+    log.info(
+        `Actual for "${event.title}" not released yet, checking again in ${delayMinutes} min (attempt ${attempt + 1}/${maxAttempts})`,
+        { event: 'follow-up.retry', attempt: attempt + 1 }
+    );
+    chain.attempt = attempt + 1;
+    chain.nextAt = new Date(clock.nowMs() + delayMinutes * 60 * 1000);
+    const task = retryAlertLater(id, 'follow-up', delayMinutes * 60 * 1000, () =>
+        checkEventOutcome(subscription, event, id, label, chain, run)
     );
+    trackAlert(id, task);
+}
+
+/**
+ * Schedule a follow-up that posts Actual/Forecast/Previous after the release
+ * A follow-up already checking the feed in this process resumes at its next
+ * check, with the attempts it has left.
+ *
+ * @param {object} subscription - Subscription receiving the result
+ * @param {object} event - Single event object with date, title, etc.
+ */
+function scheduleFollowUpAlert(subscription, event) {
+    const { delayMinutes, maxAttempts, retryBaseMinutes, retryMaxMinutes } = config.followUp;
+    const eventDate = new Date(event.date);
+    const fireAt = new Date(eventDate.getTime() + delayMinutes * 60 * 1000);
+
+    // Keep the record alive until the last retry would have run
+    let retryWindowMinutes = 0;
+    for (let attempt = 0; attempt < maxAttempts - 1; attempt++) {
+        retryWindowMinutes += Math.min(retryBaseMinutes * 2 ** attempt, retryMaxMinutes);
+    }
+    const expiresAt = new Date(fireAt.getTime() + retryWindowMinutes * 60 * 1000);
+
+    const id = `follow-up:${subscription.name}:${getEventKey(event)}`;
+    const label = `[${subscription.name}] follow-up "${event.title}"`;
+
+    const chain = followUpChains.get(id) || { attempt: 0, nextAt: fireAt, run: 0 };
+    chain.expiresAt = expiresAt;
+    chain.run += 1;
+    followUpChains.set(id, chain);
+
+    const { run } = chain;
+    const task = scheduleAlertJob({
+        id,
+        type: 'follow-up',
+        fireAt: chain.nextAt,
+        expiresAt,
+        label,
+        payload: { subscription: subscription.name, event },
+        target: getAlertTarget(subscription),
+        onFire: () => checkEventOutcome(subscription, event, id, label, chain, run),
+    });
 
-    scheduledAlerts.push(task);
+    trackAlert(id, task);
 }
 
-module.exports = { scheduleDailyAlert, schedulePreEventAlert, cancelAllAlerts };
+module.exports = {
+    scheduleDailyAlert,
+    schedulePreEventAlert,
+    scheduleFollowUpAlert,
+    cancelAllAlerts,
+    cancelDailyAlert,
+    cancelEventAlerts,
+    cancelPreEventAlerts,
+    getEventKey,
+    getLeadMinutes,
+};
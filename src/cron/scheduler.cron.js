@@ -0,0 +1,217 @@
+/**
+ * Cron: Volatility Scheduler
+ * 
+ * Keeps a rolling window of upcoming slots for every scheduler definition:
+ * every SCHEDULER_REFRESH_CRON (default 10 minutes) the slots of the next
+ * SCHEDULER_HORIZON_HOURS are computed and the jobs synced with them. The
+ * slots come from a closed-form generator, so this works the same whatever
+ * the date and however old the anchor is.
+ *
+ * Each definition's full schedule for the month is written to its own schedule
+ * log (SCHEDULE_LOG_DIR/schedule-<id>.log) through the logger, once per month
+ * and again when the schedule changes, and exported as an .ics file (see
+ * calendarExport.service.js).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { createLogger } = require('../utils/logger');
+const logger = require('../utils/logger').child({ module: 'scheduler' });
+const config = require('../config/env');
+const {
+    generateMonthlySchedule,
+    generateUpcomingSchedule,
+} = require('../services/scheduleGenerator.service');
+const { registerSchedule, clearScheduledJobs } = require('../services/schedulerRegistrar.service');
+const { loadSchedulerDefinitions } = require('../services/schedulerDefinitions.service');
+const { exportSchedulerCalendar } = require('../services/calendarExport.service');
+const { getDateKey, SCHEDULE_TIMEZONE } = require('../services/timezone.service');
+const { createRotatingFile } = require('../utils/rotatingFile');
+const clock = require('../utils/clock');
+
+let definitions = [];
+
+// Schedule log of each definition, keyed by definition id
+const scheduleLoggers = new Map();
+
+// "<definition id>:YYYY-MM" of the schedules already logged and exported by this process
+const handledMonths = new Set();
+
+/**
+ * Regenerate one definition's window and sync its jobs
+ * @param {object} definition - Scheduler definition
+ * @param {object} [options]
+ * @param {boolean} [options.rewriteLog] - Log and export the month's schedule even if already done
+ */
+function runSchedulerDefinition(definition, { rewriteLog = false } = {}) {
+    try {
+        const { startTime, timezone, pattern, cloneOffsets } = definition;
+
+        // 1. Generate the slots of the rolling window
+        const slots = generateUpcomingSchedule(
+            { startTime, timezone, pattern, cloneOffsets },
+            config.schedulers.horizonHours
+        );
+
+        // 2. Log and export the month's schedule
+        handleMonthlySchedule(definition, { rewrite: rewriteLog });
+
+        // 3. Sync cron jobs with the window
+        registerSchedule(definition, slots);
+
+    } catch (error) {
+        logger.error(`Error in Scheduler (${definition.name}):`, error);
+    }
+}
+
+/**
+ * Load the definitions and regenerate every window
+ * Called on startup; jobs of definitions no longer configured are cleared.
+ */
+function runScheduler() {
+    try {
+        logger.info('Running Scheduler...');
+
+        definitions = loadSchedulerDefinitions();
+
+        clearScheduledJobs();
+        definitions.forEach((definition) => runSchedulerDefinition(definition, { rewriteLog: true }));
+
+    } catch (error) {
+        logger.error('Error in Scheduler:', error);
+    }
+}
+
+/**
+ * Logger and rotating file of a definition's schedule log (not the console)
+ * @param {object} definition - Scheduler definition
+ * @returns {{ logger: object, sink: object }}
+ */
+function getScheduleLogger(definition) {
+    if (!scheduleLoggers.has(definition.id)) {
+        const { scheduleDir, maxSizeMb, retentionDays } = config.logging;
+        const sink = createRotatingFile({
+            file: path.join(scheduleDir, `schedule-${definition.id}.log`),
+            maxBytes: maxSizeMb * 1024 * 1024,
+            retentionDays,
+        });
+        scheduleLoggers.set(definition.id, {
+            logger: createLogger({ module: 'scheduler' }, { console: false, sink }),
+            sink,
+        });
+    }
+    return scheduleLoggers.get(definition.id);
+}
+
+/**
+ * Fingerprint of a month's schedule, logged with it to tell whether it changed
+ * @param {object} definition - Scheduler definition
+ * @param {string} month - YYYY-MM
+ * @param {Array<Date>} schedule - The month's slots
+ * @returns {string}
+ */
+function getScheduleFingerprint(definition, month, schedule) {
+    const { name, level, leadMinutes } = definition;
+    const content = JSON.stringify({ month, name, level, leadMinutes, slots: schedule.map((d) => d.toISOString()) });
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Check whether a definition's schedule log (active or rotated files) already holds a schedule
+ * @param {object} sink - Rotating file of the definition
+ * @param {string} fingerprint - See getScheduleFingerprint
+ * @returns {boolean}
+ */
+function isScheduleLogged(sink, fingerprint) {
+    return sink.listFiles().some((file) => {
+        try {
+            return fs
+                .readFileSync(file, 'utf8')
+                .split('\n')
+                .some((line) => line.includes('schedule.generated') && line.includes(fingerprint));
+        } catch (error) {
+            logger.warn(`Could not read schedule log ${file}: ${error.message}`);
+            return false;
+        }
+    });
+}
+
+/**
+ * Log and export a definition's schedule for the current month
+ * Done once per month by this process (or again when `rewrite` is set, e.g. on
+ * startup); the log is only written when the definition's file does not
+ * already hold this schedule.
+ */
+function handleMonthlySchedule(definition, { rewrite = false } = {}) {
+    const { startTime, timezone, pattern, cloneOffsets } = definition;
+
+    // Month of the schedule in its own timezone, not the server's
+    const month = getDateKey(clock.now().toISOString(), timezone).slice(0, 7);
+    const key = `${definition.id}:${month}`;
+    if (!rewrite && handledMonths.has(key)) return;
+
+    const schedule = generateMonthlySchedule({ startTime, timezone, pattern, cloneOffsets });
+    logScheduleToFile(definition, month, schedule);
+    // Not awaited: the export logs its own errors and must not hold up the jobs
+    exportSchedulerCalendar(definition, month, schedule);
+
+    handledMonths.add(key);
+}
+
+/**
+ * Log a definition's schedule for a month to its schedule log:
+ * a "schedule.generated" entry followed by one "schedule.slot" entry per slot
+ * Skipped when the same schedule is already in the log (e.g. after a restart).
+ * @param {object} definition - Scheduler definition
+ * @param {string} month - YYYY-MM
+ * @param {Array<Date>} schedule - The month's slots
+ */
+function logScheduleToFile(definition, month, schedule) {
+    const { timezone, pattern, cloneOffsets, leadMinutes } = definition;
+    const { logger: scheduleLogger, sink } = getScheduleLogger(definition);
+    const fingerprint = getScheduleFingerprint(definition, month, schedule);
+
+    if (isScheduleLogged(sink, fingerprint)) {
+        logger.debug(`Schedule of ${definition.name} for ${month} already in ${sink.file}`);
+        return;
+    }
+
+    const log = scheduleLogger.child({ scheduler: definition.id, month });
+    log.info(`Schedule for ${month}: ${definition.name} (${definition.level})`, {
+        event: 'schedule.generated',
+        fingerprint,
+        pattern,
+        cloneOffsets,
+        leadMinutes,
+        timezone,
+        totalSlots: schedule.length,
+    });
+    schedule.forEach((date, index) => {
+        log.info(`Slot ${index + 1}/${schedule.length}: ${date.toLocaleString('en-GB', { timeZone: timezone })}`, {
+            event: 'schedule.slot',
+            slot: index + 1,
+            at: date.toISOString(),
+        });
+    });
+
+    logger.info(`Schedule of ${definition.name} for ${month} logged to ${sink.file}`);
+}
+
+/**
+ * Start the cron that keeps every definition's window up to date
+ */
+function startSchedulerCron() {
+    const cronSchedule = config.schedulers.refreshCron;
+
+    logger.info(
+        `Scheduler window refresh initialized (${cronSchedule}, next ${config.schedulers.horizonHours}h)`
+    );
+
+    cron.schedule(cronSchedule, () => definitions.forEach((definition) => runSchedulerDefinition(definition)), {
+        timezone: SCHEDULE_TIMEZONE
+    });
+}
+
+module.exports = { startSchedulerCron, runScheduler };
@@ -1,94 +1,459 @@
 /**
  * Weekly Fetch Cron
  *
- * Runs every Monday at 05:00 AM (UTC+7).
+ * Runs every Monday at 05:00 AM (scheduling timezone, SCHEDULE_TIMEZONE).
  * 1. Fetches this week's economic calendar from API
- * 2. Filters for High-impact USD events
- * 3. Converts times to UTC+7
+ * 2. Filters events with each subscription's rules (default: High-impact USD)
+ * 3. Converts times to the scheduling timezone
  * 4. Groups events by date
- * 5. Schedules daily alert crons for each date with matching events
+ * 5. Schedules, per subscription and depending on its alert types, daily
+ *    alert crons for each date with matching events, pre-event alerts for
+ *    each group of events released together and post-release follow-ups
+ *    for each event
+ * 6. Exports each subscription's events as an .ics file (see calendarExport.service.js)
+ * 7. Plans the market reaction reports of high-impact events (see marketReaction.service.js)
+ * 8. On the Monday run, posts and pins each subscription's weekly outlook
+ *    (see weeklyOutlook.service.js)
+ *
+ * With WEEKLY_PREVIEW_ENABLED=true, a Sunday evening cron posts a preview of
+ * next week built from the next-week feed.
+ *
+ * A periodic refresh re-fetches the calendar during the week, diffs it against
+ * the scheduled events and only touches the jobs of events that were added,
+ * moved or cancelled (see refreshCalendar), and rewrites the .ics files.
  */
 const cron = require('node-cron');
-const logger = require('../utils/logger');
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'weeklyFetch' });
+const clock = require('../utils/clock');
 const { fetchCalendar } = require('../services/fetchCalendar.service');
-const { filterHighImpactUSD } = require('../services/filterNews.service');
-const { getDateKey } = require('../services/timezone.service');
+const { applyFilterRules } = require('../services/filterNews.service');
+const { SCHEDULE_TIMEZONE, getDateKey } = require('../services/timezone.service');
+const {
+    setCalendarEvents,
+    getCalendarEvents,
+    hasCalendarEvents,
+    getCalendarSubscriptions,
+    getLastFetchTime,
+} = require('../services/calendarState.service');
+const { loadSubscriptions, wantsAlert, getDestination } = require('../services/subscription.service');
+const { sendScheduleChangeNotice } = require('../services/notifier.service');
+const { exportNewsCalendars } = require('../services/calendarExport.service');
+const { groupReleases } = require('../services/releaseGroups.service');
+const { syncMarketReactions } = require('../services/marketReaction.service');
+const { sendWeeklyOutlooks } = require('../services/weeklyOutlook.service');
 const {
     scheduleDailyAlert,
     schedulePreEventAlert,
+    scheduleFollowUpAlert,
     cancelAllAlerts,
+    cancelDailyAlert,
+    cancelEventAlerts,
+    cancelPreEventAlerts,
+    getLeadMinutes,
 } = require('./dailyAlert.cron.js');
 
+/**
+ * Fetch the calendar once and apply every subscription's filter rules
+ * @param {object} [options] - fetchCalendar options (e.g. { sources: ['nextweek-json'] })
+ * @returns {Promise<{ subscriptions: Array, eventsBySubscription: object }>}
+ */
+async function fetchSubscriptionEvents(options) {
+    const subscriptions = loadSubscriptions();
+    const events = await fetchCalendar(options);
+
+    const eventsBySubscription = {};
+    subscriptions.forEach((subscription) => {
+        logger.info(`[${subscription.name}] Applying filter rules`);
+        eventsBySubscription[subscription.name] = applyFilterRules(events, subscription.rules);
+    });
+
+    return { subscriptions, eventsBySubscription };
+}
+
+/**
+ * Group events by date key (scheduling timezone)
+ * @param {Array} events
+ * @returns {object} Map of dateKey → events
+ */
+function groupEventsByDate(events) {
+    const eventsByDate = {};
+
+    events.forEach((event) => {
+        const dateKey = getDateKey(event.date);
+
+        if (!eventsByDate[dateKey]) {
+            eventsByDate[dateKey] = [];
+        }
+        eventsByDate[dateKey].push(event);
+    });
+
+    return eventsByDate;
+}
+
+/**
+ * Schedule the post-release follow-up of an event if the subscription wants it
+ * @param {object} subscription
+ * @param {object} event
+ */
+function scheduleEventFollowUp(subscription, event) {
+    if (wantsAlert(subscription, 'outcome')) {
+        scheduleFollowUpAlert(subscription, event);
+    }
+}
+
+/**
+ * Schedule one pre-event alert per group of events released together on a day
+ * @param {object} subscription
+ * @param {Array} events - The subscription's events of one day
+ */
+function scheduleDayPreEventAlerts(subscription, events) {
+    if (!wantsAlert(subscription, 'pre-event')) return;
+
+    groupReleases(events, config.preEvent.groupWindowMinutes).forEach((group) =>
+        schedulePreEventAlert(subscription, group)
+    );
+}
+
+/**
+ * Key events by title, country and date so a time change shows up as a move
+ * Repeated events on the same day (e.g. two speeches) get an occurrence suffix.
+ * @param {Array} events
+ * @returns {Map<string, object>}
+ */
+function keyEvents(events) {
+    const keyed = new Map();
+
+    [...events]
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .forEach((event) => {
+            const baseKey = `${event.country}|${event.title}|${getDateKey(event.date)}`;
+            let key = baseKey;
+            for (let n = 2; keyed.has(key); n++) {
+                key = `${baseKey}#${n}`;
+            }
+            keyed.set(key, event);
+        });
+
+    return keyed;
+}
+
+/**
+ * Compare the scheduled events with a fresh feed
+ * Events that already happened and simply dropped out of the feed are ignored.
+ * @param {Array} previousEvents - Events currently scheduled
+ * @param {Array} currentEvents - Events from the new fetch
+ * @returns {{ added: Array, removed: Array, moved: Array<{ before: object, after: object }> }}
+ */
+function diffEvents(previousEvents, currentEvents) {
+    const previous = keyEvents(previousEvents);
+    const current = keyEvents(currentEvents);
+    const now = clock.nowMs();
+
+    const added = [];
+    const removed = [];
+    const moved = [];
+
+    current.forEach((event, key) => {
+        const before = previous.get(key);
+        if (!before) {
+            added.push(event);
+        } else if (new Date(before.date).getTime() !== new Date(event.date).getTime()) {
+            moved.push({ before, after: event });
+        }
+    });
+
+    previous.forEach((event, key) => {
+        if (!current.has(key) && new Date(event.date).getTime() > now) {
+            removed.push(event);
+        }
+    });
+
+    return { added, removed, moved };
+}
+
+/**
+ * Schedule every job of one subscription
+ * @param {object} subscription
+ * @param {Array} filtered - The subscription's filtered events
+ */
+function scheduleSubscriptionAlerts(subscription, filtered) {
+    if (filtered.length === 0) {
+        logger.info(`[${subscription.name}] No events matched the filter rules this week. No alerts scheduled.`);
+        return;
+    }
+
+    // Step 3: Group events by date (scheduling timezone)
+    const eventsByDate = groupEventsByDate(filtered);
+
+    const dates = Object.keys(eventsByDate).sort();
+    logger.info(`[${subscription.name}] Scheduling alerts for ${dates.length} date(s): ${dates.join(', ')}`);
+
+    dates.forEach((dateKey) => {
+        // Schedule daily summary alert at the digest time (default 07:00)
+        if (wantsAlert(subscription, 'digest')) {
+            scheduleDailyAlert(subscription, dateKey, eventsByDate[dateKey]);
+        }
+
+        // Schedule pre-event alerts per release group (one per lead time, default 5 min before)
+        // and a follow-up with the released figures after each event
+        scheduleDayPreEventAlerts(subscription, eventsByDate[dateKey]);
+        eventsByDate[dateKey].forEach((event) => scheduleEventFollowUp(subscription, event));
+    });
+}
+
+/**
+ * Cancel every job scheduled for a subscription's events
+ * @param {object} subscription
+ * @param {Array} events - Events as they were scheduled
+ */
+function cancelSubscriptionAlerts(subscription, events) {
+    events.forEach((event) => cancelEventAlerts(subscription, event));
+    Object.keys(groupEventsByDate(events)).forEach((dateKey) => cancelDailyAlert(subscription, dateKey));
+}
+
+/**
+ * Replace every scheduled job with jobs for the given events
+ * @param {Array} subscriptions
+ * @param {object} eventsBySubscription - Map of subscription name → filtered events
+ */
+function scheduleAllAlerts(subscriptions, eventsBySubscription) {
+    // Step 4: Cancel old alerts and schedule new ones for every subscription
+    cancelAllAlerts();
+
+    subscriptions.forEach((subscription) => {
+        scheduleSubscriptionAlerts(subscription, eventsBySubscription[subscription.name]);
+    });
+
+    // Price snapshots around the high-impact events (market reaction reports)
+    syncMarketReactions(Object.values(eventsBySubscription).flat(), getLeadMinutes);
+}
+
 /**
  * Main logic: fetch, filter, group by date, and schedule alerts
+ * @param {object} [options]
+ * @param {boolean} [options.outlook] - Also post the weekly outlooks (Monday run)
+ * @returns {Promise<boolean>} true if every step completed; failures are logged, not thrown
  */
-async function fetchAndScheduleAlerts() {
+async function fetchAndScheduleAlerts({ outlook = false } = {}) {
     try {
         logger.info('========================================');
         logger.info('Weekly fetch & schedule started');
         logger.info('========================================');
 
-        // Step 1: Fetch calendar data
-        const events = await fetchCalendar();
+        // Step 1 & 2: Fetch calendar data and filter with each subscription's rules
+        const { subscriptions, eventsBySubscription } = await fetchSubscriptionEvents();
+        setCalendarEvents(eventsBySubscription);
 
-        // Step 2: Filter High-impact USD events
-        const highImpactUSD = filterHighImpactUSD(events);
+        scheduleAllAlerts(subscriptions, eventsBySubscription);
 
-        if (highImpactUSD.length === 0) {
-            logger.info('No High-impact USD events this week. No alerts scheduled.');
-            return;
+        // Step 5: Calendar files for calendar apps
+        await exportNewsCalendars(subscriptions, eventsBySubscription, getLeadMinutes);
+
+        // Step 8: The week at a glance, pinned in each topic
+        if (outlook) {
+            await sendWeeklyOutlooks(subscriptions, eventsBySubscription);
         }
 
-        // Step 3: Group events by date (UTC+7)
-        const eventsByDate = {};
+        logger.info('========================================');
+        logger.info('Weekly fetch & schedule completed', { event: 'fetch.completed' });
+        logger.info('========================================');
+        return true;
+    } catch (error) {
+        logger.error('Weekly fetch & schedule failed:', error.message, { event: 'fetch.failed' });
+        return false;
+    }
+}
+
+/**
+ * Reconcile one subscription's jobs with its freshly filtered events
+ * @param {object} subscription
+ * @param {Array} previousEvents - Events currently scheduled
+ * @param {Array} currentEvents - Events from the new fetch
+ * @param {boolean} isNew - The subscription was not part of the previous fetch
+ */
+async function reconcileSubscription(subscription, previousEvents, currentEvents, isNew) {
+    const { name } = subscription;
+    const { added, removed, moved } = diffEvents(previousEvents, currentEvents);
+
+    // New subscription, or the feed rolled over to a new week: nothing to reconcile, schedule it all quietly
+    const rolledOver = previousEvents.length > 0 && currentEvents.length > 0 && added.length === currentEvents.length;
+    if (isNew || rolledOver) {
+        logger.info(
+            `[${name}] Calendar refresh: ${isNew ? 'new subscription' : 'feed moved to a new week'}, rescheduling everything`
+        );
+        cancelSubscriptionAlerts(subscription, previousEvents);
+        scheduleSubscriptionAlerts(subscription, currentEvents);
+        return;
+    }
+
+    if (added.length === 0 && removed.length === 0 && moved.length === 0) {
+        logger.info(`[${name}] Calendar refresh: no schedule changes`);
+        return;
+    }
+
+    logger.info(
+        `[${name}] Calendar refresh: ${added.length} added, ${moved.length} moved, ${removed.length} cancelled`
+    );
+
+    // Per-event jobs
+    removed.forEach((event) => cancelEventAlerts(subscription, event));
+    moved.forEach(({ before, after }) => {
+        cancelEventAlerts(subscription, before);
+        scheduleEventFollowUp(subscription, after);
+    });
+    added.forEach((event) => scheduleEventFollowUp(subscription, event));
+
+    const affectedDates = new Set();
+    [...added, ...removed].forEach((e) => affectedDates.add(getDateKey(e.date)));
+    moved.forEach(({ before, after }) => {
+        affectedDates.add(getDateKey(before.date));
+        affectedDates.add(getDateKey(after.date));
+    });
+    const eventsByDate = groupEventsByDate(currentEvents);
 
-        highImpactUSD.forEach((event) => {
-            const dateKey = getDateKey(event.date);
+    // Release groups of every day touched by a change: a change can split or merge
+    // groups, so the day's pre-event alerts are rebuilt (sent ones are not sent again)
+    if (wantsAlert(subscription, 'pre-event')) {
+        const previousByDate = groupEventsByDate(previousEvents);
+        affectedDates.forEach((dateKey) => {
+            (previousByDate[dateKey] || []).forEach((event) => cancelPreEventAlerts(subscription, event));
+            scheduleDayPreEventAlerts(subscription, eventsByDate[dateKey] || []);
+        });
+    }
 
-            if (!eventsByDate[dateKey]) {
-                eventsByDate[dateKey] = [];
+    // Daily digests of every day touched by a change
+    if (wantsAlert(subscription, 'digest')) {
+        affectedDates.forEach((dateKey) => {
+            if (eventsByDate[dateKey]) {
+                scheduleDailyAlert(subscription, dateKey, eventsByDate[dateKey]);
+            } else {
+                cancelDailyAlert(subscription, dateKey);
             }
-            eventsByDate[dateKey].push(event);
         });
+    }
 
-        // Step 4: Cancel old alerts and schedule new daily alerts
-        cancelAllAlerts();
+    if (wantsAlert(subscription, 'changes')) {
+        try {
+            await sendScheduleChangeNotice({ added, removed, moved }, getDestination(subscription));
+        } catch (error) {
+            logger.error(`[${name}] Failed to send schedule change notice:`, error.message, {
+                event: 'notice.failed',
+                subscription: name,
+            });
+        }
+    }
+}
+
+/**
+ * Re-fetch the calendar and reconcile the scheduled jobs with it
+ * Only the jobs of added, moved or cancelled events (and the digests of the
+ * days they touch) are changed. A short notice is posted when anything changed.
+ */
+async function refreshCalendar() {
+    // Nothing scheduled yet (e.g. the startup fetch failed): do a full run
+    if (!getLastFetchTime()) {
+        await fetchAndScheduleAlerts();
+        return;
+    }
 
-        const dates = Object.keys(eventsByDate).sort();
-        logger.info(`Scheduling alerts for ${dates.length} date(s): ${dates.join(', ')}`);
+    try {
+        logger.info('Calendar refresh started');
 
-        dates.forEach((dateKey) => {
-            // Schedule daily summary alert at 07:00 AM
-            scheduleDailyAlert(dateKey, eventsByDate[dateKey]);
+        const { subscriptions, eventsBySubscription } = await fetchSubscriptionEvents();
 
-            // Schedule individual pre-event alerts (5 min before each event)
-            eventsByDate[dateKey].forEach((event) => {
-                schedulePreEventAlert(event);
-            });
+        const previousBySubscription = {};
+        const isNewBySubscription = {};
+        subscriptions.forEach(({ name }) => {
+            previousBySubscription[name] = getCalendarEvents(name);
+            isNewBySubscription[name] = !hasCalendarEvents(name);
         });
 
-        logger.info('========================================');
-        logger.info('Weekly fetch & schedule completed');
-        logger.info('========================================');
+        // Subscriptions removed from the file since the last fetch: drop their jobs
+        getCalendarSubscriptions()
+            .filter((name) => !subscriptions.some((s) => s.name === name))
+            .forEach((name) => {
+                logger.info(`[${name}] Subscription removed, cancelling its alerts`);
+                cancelSubscriptionAlerts({ name }, getCalendarEvents(name));
+            });
+
+        setCalendarEvents(eventsBySubscription);
+
+        for (const subscription of subscriptions) {
+            const { name } = subscription;
+            await reconcileSubscription(
+                subscription,
+                previousBySubscription[name],
+                eventsBySubscription[name],
+                isNewBySubscription[name]
+            );
+        }
+
+        syncMarketReactions(Object.values(eventsBySubscription).flat(), getLeadMinutes);
+
+        // Rewrite the week's calendar files with the refreshed events
+        await exportNewsCalendars(subscriptions, eventsBySubscription, getLeadMinutes);
     } catch (error) {
-        logger.error('Weekly fetch & schedule failed:', error.message);
+        logger.error('Calendar refresh failed:', error.message, { event: 'refresh.failed' });
+    }
+}
+
+/**
+ * Post the preview of next week, built from the next-week feed (Sunday evening)
+ * Nothing is scheduled: the Monday fetch schedules next week's alerts.
+ */
+async function sendNextWeekPreview() {
+    try {
+        logger.info('Next week preview started');
+
+        const { subscriptions, eventsBySubscription } = await fetchSubscriptionEvents({ sources: ['nextweek-json'] });
+        await sendWeeklyOutlooks(subscriptions, eventsBySubscription, { preview: true });
+    } catch (error) {
+        logger.error('Next week preview failed:', error.message, { event: 'preview.failed' });
     }
 }
 
 /**
  * Start the weekly cron job
- * Runs every Monday at 05:00 AM (UTC+7 / Asia/Ho_Chi_Minh)
+ * Runs every Monday at 05:00 AM in the scheduling timezone
  */
 function startWeeklyCron() {
     // Cron: minute hour dayOfMonth month dayOfWeek
     // "0 5 * * 1" = 05:00 every Monday
     const cronExpression = '0 5 * * 1';
 
-    logger.info(`Weekly fetch cron scheduled: ${cronExpression} (every Monday 05:00 UTC+7)`);
+    logger.info(`Weekly fetch cron scheduled: ${cronExpression} (every Monday 05:00 ${SCHEDULE_TIMEZONE})`);
 
-    cron.schedule(cronExpression, fetchAndScheduleAlerts, {
-        timezone: 'Asia/Ho_Chi_Minh', // UTC+7
+    cron.schedule(cronExpression, () => fetchAndScheduleAlerts({ outlook: true }), {
+        timezone: SCHEDULE_TIMEZONE,
     });
+
+    if (config.outlook.preview) {
+        const { hour, minute } = config.outlook.previewTime;
+        const previewExpression = `${minute} ${hour} * * 0`;
+        logger.info(`Next week preview cron scheduled: ${previewExpression} (every Sunday, ${SCHEDULE_TIMEZONE})`);
+
+        cron.schedule(previewExpression, sendNextWeekPreview, {
+            timezone: SCHEDULE_TIMEZONE,
+        });
+    }
+
+    const refreshExpression = config.api.refreshCron;
+    if (refreshExpression) {
+        logger.info(`Calendar refresh cron scheduled: ${refreshExpression} (${SCHEDULE_TIMEZONE})`);
+
+        cron.schedule(refreshExpression, refreshCalendar, {
+            timezone: SCHEDULE_TIMEZONE,
+        });
+    }
 }
 
-module.exports = { startWeeklyCron, fetchAndScheduleAlerts };
+module.exports = {
+    startWeeklyCron,
+    fetchAndScheduleAlerts,
+    refreshCalendar,
+    sendNextWeekPreview,
+    diffEvents,
+    groupEventsByDate,
+    scheduleAllAlerts,
+};
@@ -3,40 +3,93 @@
  *
  * Flow:
  * 1. On startup, immediately fetch & schedule alerts (so we don't wait until Monday)
- * 2. Start the weekly cron to repeat every Monday at 05:00 AM (UTC+7)
+ * 2. Start the weekly cron to repeat every Monday at 05:00 AM (SCHEDULE_TIMEZONE)
  *
- * Weekly Cron (Monday 05:00 UTC+7):
- *   → Fetch JSON from Fair Economy API
- *   → Filter: impact === "High" && country === "USD"
- *   → Convert times from UTC-5 to UTC+7 (+12 hours)
- *   → Group events by date (UTC+7)
- *   → Schedule a daily alert cron for each date at 07:00 AM (UTC+7)
+ * Times are shown in DISPLAY_TIMEZONE; days, the digest and the weekly cron
+ * follow SCHEDULE_TIMEZONE (both IANA zones, default Asia/Ho_Chi_Minh, DST-aware).
  *
- * Daily Alert Cron (07:00 UTC+7 on news days):
+ * Weekly Cron (Monday 05:00):
+ *   → Fetch the configured calendar sources (Fair Economy JSON/XML, local file)
+ *   → Filter: impact === "High" && country === "USD" (or each subscription's rules)
+ *   → Convert times to the scheduling timezone
+ *   → Group events by date (scheduling timezone)
+ *   → Schedule a daily alert cron for each date at DIGEST_TIME (default 07:00),
+ *     once per subscription (destination chat/topic, see SUBSCRIPTIONS_FILE)
+ *   → Export each subscription's week as an .ics file (ICS_EXPORT_DIR, optionally
+ *     posted to its topic with ICS_POST_TO_TELEGRAM)
+ *   → Post the weekly outlook (events per day, busiest days) and pin it in the topic
+ *
+ * Next Week Preview Cron (Sunday WEEKLY_PREVIEW_TIME, optional):
+ *   → Same outlook built from the next-week feed, not pinned
+ *
+ * Calendar Refresh Cron (hourly by default):
+ *   → Re-fetch, diff against scheduled events, move/add/cancel only affected jobs
+ *
+ * Daily Alert Cron (DIGEST_TIME on news days):
  *   → Send formatted Telegram message with the day's High-impact USD events
+ *
+ * Scheduler Window Cron (every 10 minutes by default):
+ *   → Compute the next SCHEDULER_HORIZON_HOURS of slots of each volatility
+ *     scheduler and sync their alert jobs
+ *   → Once a month, log each scheduler's slots and export them as an .ics file
+ *
+ * Admin API (optional, ADMIN_API_PORT + ADMIN_API_TOKEN):
+ *   → GET /health, GET /jobs, POST /refresh, POST /test-alert, GET /metrics (Prometheus),
+ *     GET/POST/DELETE /mutes
+ *
+ * Quiet hours, holidays and mutes (SUPPRESSION_FILE, MUTES_FILE):
+ *   → Alerts due inside a window are recorded as suppressed instead of sent,
+ *     optionally followed by a catch-up summary when it ends
+ *
+ * Every planned alert is recorded in the durable alert store (data/alerts.json),
+ * so a restart sends alerts it missed and never repeats delivered ones.
+ *
+ * Market reaction reports (MARKET_REACTION_ENABLED):
+ *   → Price of PRICE_SYMBOL at the pre-event alert time and +5/+15/+60 min after
+ *     each high-impact release; move and high/low range posted to the BTC topic
+ *
+ * Every fetched event is archived per indicator with its final actual
+ * (HISTORY_FILE); pre-event alerts show the indicator's last results.
  */
-const logger = require('./utils/logger');
+const logger = require('./utils/logger').child({ module: 'main' });
+const config = require('./config/env');
+const { describeTimezone } = require('./services/timezone.service');
 const { startWeeklyCron, fetchAndScheduleAlerts } = require('./cron/weeklyFetch.cron');
-const { startMonthlyCron, runMonthlyScheduler } = require('./cron/monthlyScheduler.cron');
+const { startSchedulerCron, runScheduler } = require('./cron/scheduler.cron');
+const { startBotPolling } = require('./services/telegramBot.service');
+const { startAdminApi } = require('./services/adminApi.service');
+const { loadSuppressionRules } = require('./services/suppression.service');
+const { startCatchUpSummaries } = require('./services/catchUp.service');
 
 async function main() {
     logger.info('🚀 News Alert System starting...');
-    logger.info(`   Timezone target: UTC+${process.env.TIMEZONE_OFFSET || 7}`);
+    logger.info(`   Display timezone: ${describeTimezone(config.timezone.display)}`);
+    logger.info(`   Schedule timezone: ${describeTimezone(config.timezone.schedule)}`);
     logger.info(`   API: ${process.env.FAIR_ECONOMY_CALENDAR_URL}`);
 
-    // Start the weekly cron (every Monday 05:00 UTC+7)
+    // Quiet hours and holidays (fails fast on a broken file); catch-up summaries
+    loadSuppressionRules();
+    startCatchUpSummaries();
+
+    // Start the weekly cron (every Monday 05:00)
     startWeeklyCron();
 
-    // Start the monthly scheduler (1st of month)
-    startMonthlyCron();
+    // Keep the volatility schedulers' rolling windows up to date
+    startSchedulerCron();
 
     // Also run immediately on startup to catch this week's events
     logger.info('Running initial fetch & schedule...');
     await fetchAndScheduleAlerts();
 
-    // Run monthly scheduler immediately to register this month's custom alerts
+    // Load the scheduler definitions and register the alerts of their upcoming slots
     logger.info('Initializing custom alert schedule...');
-    runMonthlyScheduler();
+    runScheduler();
+
+    // Answer bot commands in the group
+    startBotPolling();
+
+    // Health, pending jobs and manual refresh over HTTP (when ADMIN_API_PORT is set)
+    await startAdminApi();
 
     logger.info('✅ News Alert System is running. Press Ctrl+C to stop.');
 }
@@ -0,0 +1,36 @@
+/**
+ * Notifier: Discord webhook
+ */
+const axios = require('axios');
+const { enqueueMessage, getEndpointKey } = require('../services/outbox.service');
+const { formatDiscordAlert } = require('./formatters/discord.formatter');
+
+/**
+ * Create a Discord notifier
+ * @param {object} options
+ * @param {object} options.webhookUrls - Webhook URL per channel: { news, scheduler }
+ * @returns {{ name: string, send: Function }}
+ */
+function createDiscordNotifier({ webhookUrls }) {
+    return {
+        name: 'discord',
+        async send(alert, channel) {
+            const url = webhookUrls[channel];
+            if (!url) {
+                throw new Error(`No Discord webhook configured for ${channel} alerts`);
+            }
+
+            for (const payload of formatDiscordAlert(alert)) {
+                await enqueueMessage({
+                    chatKey: getEndpointKey('discord', url),
+                    label: `discord ${payload.embeds[0].title}`,
+                    payload,
+                    expiresAt: alert.expiresAt || null,
+                    deliver: () => axios.post(url, payload),
+                });
+            }
+        },
+    };
+}
+
+module.exports = { createDiscordNotifier };
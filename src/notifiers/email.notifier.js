@@ -0,0 +1,49 @@
+/**
+ * Notifier: Email over SMTP
+ */
+const nodemailer = require('nodemailer');
+const { enqueueMessage } = require('../services/outbox.service');
+const { formatEmailAlert } = require('./formatters/email.formatter');
+
+/**
+ * Create an email notifier
+ * @param {object} options
+ * @param {object} options.smtp - { host, port, secure, user, pass }
+ * @param {string} options.from - Sender address
+ * @param {object} options.recipients - Recipient list per channel: { news, scheduler }
+ * @returns {{ name: string, send: Function }}
+ */
+function createEmailNotifier({ smtp, from, recipients }) {
+    if (!smtp.host) {
+        throw new Error('Email notifier requires SMTP_HOST');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure,
+        auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+    });
+
+    return {
+        name: 'email',
+        async send(alert, channel) {
+            const to = recipients[channel];
+            if (!to) {
+                throw new Error(`No email recipients configured for ${channel} alerts`);
+            }
+
+            const { subject, text, html } = formatEmailAlert(alert);
+
+            await enqueueMessage({
+                chatKey: `email:${smtp.host}`,
+                label: `email ${subject}`,
+                payload: { to, subject },
+                expiresAt: alert.expiresAt || null,
+                deliver: () => transporter.sendMail({ from, to, subject, text, html }),
+            });
+        },
+    };
+}
+
+module.exports = { createEmailNotifier };
@@ -0,0 +1,283 @@
+/**
+ * Markup-free description of an alert, shared by the non-Telegram formatters
+ *
+ * Alerts are plain objects with a `type` and the data needed to describe them:
+ *   - news-digest:     { events, dateLabel }
+ *   - pre-event:       { events }  (released together, each with `history`: last results)
+ *   - outcome:         { event, verdict }
+ *   - schedule-change: { added, removed, moved }
+ *   - scheduler-slot:  { date, name, level }
+ *   - market-reaction: { events, symbol, base: { at, price }, moves: [{ label, at, price, changePct }],
+ *                        high, low, rangePct }
+ *   - catch-up:        { reason, name, items: [{ type, at, text }] }
+ *   - weekly-outlook:  { weekLabel, preview, total, days: [{ dateLabel, events, heaviest }], pin }
+ *
+ * describeAlert() turns them into:
+ *   {
+ *     emoji, title,
+ *     items: [{ heading, fields: [[label, value], ...], struck }],
+ *     footer,
+ *     tone: 'info' | 'warning' | 'success' | 'danger',
+ *   }
+ * which each formatter renders with its own markup.
+ */
+const { formatDateTime, formatDateLabel, getDateKey } = require('../../services/timezone.service');
+const { groupReleases } = require('../../services/releaseGroups.service');
+const clock = require('../../utils/clock');
+
+/**
+ * Describe the time left until a date, e.g. "1 giờ 5 phút" or "15 phút"
+ * @param {string|Date} date - Target time
+ * @param {number} [now] - Current time in ms
+ * @returns {string}
+ */
+function formatTimeRemaining(date, now = clock.nowMs()) {
+    const totalMinutes = Math.max(1, Math.round((new Date(date).getTime() - now) / 60000));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+
+    if (hours === 0) return `${minutes} phút`;
+    return minutes === 0 ? `${hours} giờ` : `${hours} giờ ${minutes} phút`;
+}
+
+const SUPPRESSION_LABELS = {
+    'quiet-hours': 'quiet hours',
+    holiday: 'holiday',
+    mute: 'muted',
+};
+
+const SURPRISE_LABELS = {
+    beat: '▲ above forecast',
+    miss: '▼ below forecast',
+    'in-line': '= in line',
+};
+
+const VERDICT_LABELS = {
+    beat: '🟢 Beat (above forecast)',
+    miss: '🔴 Miss (below forecast)',
+    'in-line': '⚪ In line with forecast',
+};
+
+/**
+ * Describe a past release of an indicator, e.g. "14/10/2026: 0.4% vs 0.3% (▲ above forecast)"
+ * @param {object} release - See eventHistory.service.js getIndicatorHistory
+ * @returns {string}
+ */
+function formatPastResult(release) {
+    const dateLabel = formatDateLabel(getDateKey(release.date));
+    if (!release.forecast) return `${dateLabel}: ${release.actual}`;
+
+    const surprise = release.surprise ? ` (${SURPRISE_LABELS[release.surprise]})` : '';
+    return `${dateLabel}: ${release.actual} vs ${release.forecast}${surprise}`;
+}
+
+/**
+ * Format a price, e.g. "68,250.1"
+ * @param {number} price
+ * @returns {string}
+ */
+function formatPrice(price) {
+    return price.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+/**
+ * Format a percentage change with its sign, e.g. "+0.95%"
+ * @param {number} pct
+ * @returns {string}
+ */
+function formatChange(pct) {
+    return `${pct >= 0 ? '+' : ''}${pct.toFixed(2)}%`;
+}
+
+/**
+ * Describe a single calendar event
+ * @param {object} event
+ * @param {Array<Array<string>>} [extraFields] - Fields shown before forecast/previous
+ * @returns {object} Item
+ */
+function eventItem(event, extraFields = []) {
+    const fields = [...extraFields];
+    if (event.forecast) fields.push(['Forecast', event.forecast]);
+    if (event.previous) fields.push(['Previous', event.previous]);
+    if (event.history && event.history.length > 0) {
+        fields.push(['Last releases', event.history.map(formatPastResult).join('; ')]);
+    }
+
+    return { heading: `${formatDateTime(event.date)} ${event.title}`, fields };
+}
+
+/**
+ * Describe events, listing those released at the same time under one time heading
+ * @param {Array} events
+ * @returns {Array<object>} Items
+ */
+function releaseItems(events) {
+    return groupReleases(events).flatMap((group) => {
+        if (group.length === 1) return [eventItem(group[0])];
+
+        return [
+            { heading: `🕒 ${formatDateTime(group[0].date)}`, fields: [] },
+            ...group.map((event) => ({ ...eventItem(event), heading: event.title })),
+        ];
+    });
+}
+
+/**
+ * Describe an alert without any markup
+ * @param {object} alert
+ * @returns {object} Alert content
+ */
+function describeAlert(alert) {
+    switch (alert.type) {
+        case 'news-digest':
+            return {
+                emoji: '📊',
+                title: `Economic News Alert - ${alert.dateLabel}`,
+                items: releaseItems(alert.events),
+                footer: 'High-impact news may cause significant market volatility.',
+                tone: 'info',
+            };
+
+        case 'pre-event':
+            return {
+                emoji: '⏰',
+                title: `Tin sắp ra trong ${formatTimeRemaining(alert.events[0].date)}!`,
+                items: releaseItems(alert.events),
+                footer: 'Prepare for potential market volatility.',
+                tone: 'warning',
+            };
+
+        case 'outcome':
+            return {
+                emoji: '📢',
+                title: 'Kết quả tin đã ra',
+                items: [eventItem(alert.event, [['Actual', alert.event.actual]])],
+                footer: alert.verdict ? VERDICT_LABELS[alert.verdict] : '',
+                tone: alert.verdict === 'miss' ? 'danger' : 'success',
+            };
+
+        case 'schedule-change':
+            return {
+                emoji: '🔄',
+                title: 'Lịch tin thay đổi',
+                items: [
+                    ...alert.moved.map(({ before, after }) => ({
+                        heading: `🕒 ${after.title}: ${formatDateTime(before.date)} → ${formatDateTime(after.date)}`,
+                        fields: [],
+                    })),
+                    ...alert.added.map((event) => ({
+                        heading: `➕ ${formatDateTime(event.date)} ${event.title}`,
+                        fields: [],
+                    })),
+                    ...alert.removed.map((event) => ({
+                        heading: `❌ ${formatDateTime(event.date)} ${event.title}`,
+                        fields: [],
+                        struck: true,
+                    })),
+                ],
+                footer: '',
+                tone: 'warning',
+            };
+
+        case 'scheduler-slot':
+            return {
+                emoji: '🔔',
+                title: alert.name,
+                items: [
+                    {
+                        heading: `🕒 Thời gian: ${formatDateTime(new Date(alert.date).toISOString())}`,
+                        fields: [['Mức độ', alert.level]],
+                    },
+                ],
+                footer: '',
+                tone: 'warning',
+            };
+
+        case 'market-reaction': {
+            const lastMove = alert.moves[alert.moves.length - 1];
+            return {
+                emoji: lastMove.changePct >= 0 ? '📈' : '📉',
+                title: `Market reaction ${alert.symbol}: ${alert.events.map((e) => e.title).join(', ')}`,
+                items: [
+                    {
+                        heading: `Pre-event (${formatDateTime(alert.base.at)}): ${formatPrice(alert.base.price)}`,
+                        fields: [],
+                    },
+                    ...alert.moves.map((move) => ({
+                        heading: `${move.label}: ${formatPrice(move.price)} (${formatChange(move.changePct)})`,
+                        fields: [],
+                    })),
+                    {
+                        heading: `High / low: ${formatPrice(alert.high)} / ${formatPrice(alert.low)}`,
+                        fields: [['Range', `${alert.rangePct.toFixed(2)}%`]],
+                    },
+                ],
+                footer: `Released ${formatDateTime(alert.events[0].date)}`,
+                tone: lastMove.changePct >= 0 ? 'success' : 'danger',
+            };
+        }
+
+        case 'weekly-outlook':
+            return {
+                emoji: '🗓',
+                title: `${alert.preview ? 'Next week preview' : 'Weekly outlook'} ${alert.weekLabel}`,
+                items:
+                    alert.days.length > 0
+                        ? alert.days.map((day) => ({
+                              heading: `${day.heaviest ? '🔥 ' : ''}${day.dateLabel}: ${day.events.length} event(s)`,
+                              fields: day.events.map((event) => [event.title, formatDateTime(event.date)]),
+                          }))
+                        : [{ heading: 'No matching events this week', fields: [] }],
+                footer: `${alert.total} event(s) this week${alert.days.some((d) => d.heaviest) ? ', 🔥 = busiest day' : ''}`,
+                tone: 'info',
+            };
+
+        case 'catch-up':
+            return {
+                emoji: '🔕',
+                title: `${alert.items.length} alert(s) held back (${SUPPRESSION_LABELS[alert.reason]}: ${alert.name})`,
+                items: alert.items.map((item) => ({ heading: `${formatDateTime(item.at)} ${item.text}`, fields: [] })),
+                footer: 'The quiet period is over, alerts are back on.',
+                tone: 'info',
+            };
+
+        default:
+            throw new Error(`Unknown alert type: ${alert.type}`);
+    }
+}
+
+/**
+ * Pack text pieces into chunks of at most `limit` characters
+ * Pieces are never split unless a single piece is over the limit (then it is cut).
+ * @param {Array<string>} pieces
+ * @param {number} limit
+ * @param {string} [separator]
+ * @returns {Array<string>}
+ */
+function packText(pieces, limit, separator = '\n') {
+    const chunks = [];
+    let current = '';
+
+    pieces.forEach((piece) => {
+        const text = piece.length > limit ? `${piece.slice(0, limit - 1)}…` : piece;
+        if (current && current.length + separator.length + text.length > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}${separator}${text}` : text;
+    });
+    if (current || chunks.length === 0) chunks.push(current);
+
+    return chunks;
+}
+
+module.exports = {
+    describeAlert,
+    packText,
+    formatTimeRemaining,
+    formatPastResult,
+    formatPrice,
+    formatChange,
+    VERDICT_LABELS,
+    SUPPRESSION_LABELS,
+};
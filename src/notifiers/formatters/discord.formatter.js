@@ -0,0 +1,58 @@
+/**
+ * Formatter: Discord webhook payloads (embeds)
+ *
+ * One embed per message; long alerts are split into several messages with the
+ * description kept under Discord's embed limit.
+ */
+const { describeAlert, packText } = require('./alertContent');
+
+const DESCRIPTION_LIMIT = 4000;
+const TITLE_LIMIT = 256;
+
+const TONE_COLORS = {
+    info: 0x3498db,
+    warning: 0xf39c12,
+    success: 0x2ecc71,
+    danger: 0xe74c3c,
+};
+
+/**
+ * Escape Discord markdown characters
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeMarkdown(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).replace(/([\\*_~`|>[\]])/g, '\\$1');
+}
+
+/**
+ * Format an alert as one or more Discord webhook payloads
+ * @param {object} alert - See alertContent.js for the alert types
+ * @returns {Array<object>} Webhook request bodies, in order
+ */
+function formatDiscordAlert(alert) {
+    const content = describeAlert(alert);
+
+    const pieces = content.items.map((item) => {
+        const heading = item.struck ? `~~${escapeMarkdown(item.heading)}~~` : `**${escapeMarkdown(item.heading)}**`;
+        const fields = item.fields.map(([label, value]) => `${escapeMarkdown(label)}: ${escapeMarkdown(value)}`);
+        return [heading, ...fields].join('\n');
+    });
+    const descriptions = packText(pieces, DESCRIPTION_LIMIT, '\n\n');
+
+    return descriptions.map((description, index) => {
+        const label = descriptions.length > 1 ? ` (${index + 1}/${descriptions.length})` : '';
+        const embed = {
+            title: `${content.emoji} ${content.title}`.slice(0, TITLE_LIMIT - label.length) + label,
+            description,
+            color: TONE_COLORS[content.tone],
+        };
+        if (content.footer && index === descriptions.length - 1) {
+            embed.footer = { text: content.footer };
+        }
+        return { embeds: [embed], allowed_mentions: { parse: [] } };
+    });
+}
+
+module.exports = { formatDiscordAlert, escapeMarkdown };
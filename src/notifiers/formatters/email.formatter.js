@@ -0,0 +1,36 @@
+/**
+ * Formatter: Email (subject, plain text and HTML bodies)
+ */
+const { escapeHtml } = require('../../services/messageRenderer.service');
+const { describeAlert } = require('./alertContent');
+
+/**
+ * Format an alert as an email
+ * @param {object} alert - See alertContent.js for the alert types
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function formatEmailAlert(alert) {
+    const content = describeAlert(alert);
+    const title = `${content.emoji} ${content.title}`;
+
+    const textItems = content.items.map((item) =>
+        [item.heading, ...item.fields.map(([label, value]) => `   ${label}: ${value}`)].join('\n')
+    );
+    const text = [title, '', ...textItems, '', content.footer].join('\n').trim();
+
+    const htmlItems = content.items.map((item) => {
+        const heading = item.struck ? `<s>${escapeHtml(item.heading)}</s>` : `<b>${escapeHtml(item.heading)}</b>`;
+        const fields = item.fields
+            .map(([label, value]) => `<li>${escapeHtml(label)}: ${escapeHtml(value)}</li>`)
+            .join('');
+        return `<p>${heading}${fields ? `<ul>${fields}</ul>` : ''}</p>`;
+    });
+    const html =
+        `<h2>${escapeHtml(title)}</h2>` +
+        htmlItems.join('') +
+        (content.footer ? `<p><i>${escapeHtml(content.footer)}</i></p>` : '');
+
+    return { subject: title, text, html };
+}
+
+module.exports = { formatEmailAlert };
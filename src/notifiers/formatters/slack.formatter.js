@@ -0,0 +1,65 @@
+/**
+ * Formatter: Slack incoming webhook payloads (Block Kit)
+ *
+ * Section texts stay under Slack's 3000-character limit and a message carries
+ * at most 50 blocks; longer alerts are split into several messages.
+ */
+const { describeAlert, packText } = require('./alertContent');
+
+const SECTION_LIMIT = 3000;
+const HEADER_LIMIT = 150;
+// Header + context leave room for this many sections per message
+const SECTIONS_PER_MESSAGE = 45;
+
+/**
+ * Escape the characters Slack treats as control sequences in mrkdwn
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeSlack(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Format an alert as one or more Slack webhook payloads
+ * @param {object} alert - See alertContent.js for the alert types
+ * @returns {Array<object>} Webhook request bodies, in order
+ */
+function formatSlackAlert(alert) {
+    const content = describeAlert(alert);
+    const title = `${content.emoji} ${content.title}`;
+
+    const pieces = content.items.map((item) => {
+        const heading = item.struck ? `~${escapeSlack(item.heading)}~` : `*${escapeSlack(item.heading)}*`;
+        const fields = item.fields.map(([label, value]) => `   ${escapeSlack(label)}: ${escapeSlack(value)}`);
+        return [heading, ...fields].join('\n');
+    });
+    const sections = packText(pieces, SECTION_LIMIT);
+
+    const messages = [];
+    for (let i = 0; i < sections.length; i += SECTIONS_PER_MESSAGE) {
+        messages.push(sections.slice(i, i + SECTIONS_PER_MESSAGE));
+    }
+
+    return messages.map((messageSections, index) => {
+        const label = messages.length > 1 ? ` (${index + 1}/${messages.length})` : '';
+        const blocks = [
+            {
+                type: 'header',
+                text: { type: 'plain_text', text: title.slice(0, HEADER_LIMIT - label.length) + label, emoji: true },
+            },
+            ...messageSections
+                .filter(Boolean)
+                .map((text) => ({ type: 'section', text: { type: 'mrkdwn', text } })),
+        ];
+        if (content.footer && index === messages.length - 1) {
+            blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(content.footer) }] });
+        }
+
+        // `text` is the fallback shown in notifications
+        return { text: `${title}${label}`, blocks };
+    });
+}
+
+module.exports = { formatSlackAlert, escapeSlack };
@@ -0,0 +1,271 @@
+/**
+ * Formatter: Telegram HTML message layouts
+ *
+ * Every alert becomes a message layout (see messageRenderer.service.js), so
+ * long digests are split at event boundaries. All dynamic text is escaped.
+ * Events released at the same time are listed under one time header.
+ */
+const { formatDateTime } = require('../../services/timezone.service');
+const { escapeHtml } = require('../../services/messageRenderer.service');
+const { groupReleases } = require('../../services/releaseGroups.service');
+const {
+    VERDICT_LABELS,
+    SUPPRESSION_LABELS,
+    formatTimeRemaining,
+    formatPastResult,
+    formatPrice,
+    formatChange,
+} = require('./alertContent');
+
+const SEPARATOR = '━━━━━━━━━━━━━━━━━━━━';
+
+/**
+ * Format a single event as lines of the news digest
+ * @param {object} event - Calendar event
+ * @returns {string}
+ */
+function formatEventBlock(event) {
+    const timeStr = formatDateTime(event.date);
+    let block = `${timeStr} 🔴 <b>${escapeHtml(event.title)}</b>\n`;
+
+    // Include forecast & previous if available
+    if (event.forecast) {
+        block += `   📈 Forecast: ${escapeHtml(event.forecast)}\n`;
+    }
+    if (event.previous) {
+        block += `   📉 Previous: ${escapeHtml(event.previous)}\n`;
+    }
+
+    return block;
+}
+
+/**
+ * Format the last results of an event's indicator (pre-event alerts)
+ * @param {Array} [history] - Past releases, most recent first
+ * @param {string} [indent] - Prefix of each line
+ * @returns {string}
+ */
+function formatHistoryLines(history, indent = '') {
+    if (!history || history.length === 0) return '';
+
+    return (
+        `${indent}🗂 Last releases:\n` +
+        history.map((release) => `${indent}   ${escapeHtml(formatPastResult(release))}\n`).join('')
+    );
+}
+
+/**
+ * Format events released at the same time under a single time header
+ * A group of one event is formatted as a single event.
+ * @param {Array} events - Events sharing a release time
+ * @returns {string}
+ */
+function formatReleaseBlock(events) {
+    if (events.length === 1) return formatEventBlock(events[0]);
+
+    let block = `🕒 <b>${formatDateTime(events[0].date)}</b>\n`;
+    events.forEach((event) => {
+        block += `🔴 <b>${escapeHtml(event.title)}</b>\n`;
+        if (event.forecast) {
+            block += `   📈 Forecast: ${escapeHtml(event.forecast)}\n`;
+        }
+        if (event.previous) {
+            block += `   📉 Previous: ${escapeHtml(event.previous)}\n`;
+        }
+        block += formatHistoryLines(event.history, '   ');
+    });
+
+    return block;
+}
+
+/**
+ * Build the news digest layout for a list of events
+ * @param {Array} events - Filtered events
+ * @param {string} dateLabel - The date label for the alert (e.g., "11/02/2026")
+ * @returns {object} Message layout
+ */
+function buildNewsAlertMessage(events, dateLabel) {
+    return {
+        title: `📊 <b>Economic News Alert - ${escapeHtml(dateLabel)}</b>`,
+        intro: `${SEPARATOR}\n\n`,
+        blocks: groupReleases(events).map((group) => `${formatReleaseBlock(group)}\n`),
+        footer:
+            `${SEPARATOR}\n` +
+            `⚠️ <i>High-impact news may cause significant market volatility.</i>`,
+    };
+}
+
+/**
+ * Build the heads-up for upcoming events released together, stating the time actually left
+ * @param {Array} events - Events of the release group, sorted by time
+ * @returns {object} Message layout
+ */
+function buildPreEventMessage(events) {
+    const blocks = groupReleases(events).map((group) => {
+        if (group.length > 1) return formatReleaseBlock(group);
+
+        const [event] = group;
+        let block = `${formatDateTime(event.date)} 🔴 <b>${escapeHtml(event.title)}</b>\n`;
+        if (event.forecast) {
+            block += `📈 Forecast: ${escapeHtml(event.forecast)}\n`;
+        }
+        if (event.previous) {
+            block += `📉 Previous: ${escapeHtml(event.previous)}\n`;
+        }
+        block += formatHistoryLines(event.history);
+        return block;
+    });
+
+    return {
+        title: `⏰ <b>Tin sắp ra trong ${formatTimeRemaining(events[0].date)}!</b>`,
+        intro: `${SEPARATOR}\n\n`,
+        blocks,
+        footer: `\n${SEPARATOR}\n⚠️ <i>Prepare for potential market volatility.</i>`,
+    };
+}
+
+/**
+ * Build the post-release result of an event (Actual vs Forecast)
+ * @param {object} event - Released event (with `actual` filled in)
+ * @param {string|null} verdict - "beat", "miss", "in-line" or null if not comparable
+ * @returns {object} Message layout
+ */
+function buildOutcomeMessage(event, verdict) {
+    let block = `${formatDateTime(event.date)} 🔴 <b>${escapeHtml(event.title)}</b>\n`;
+    block += `✅ Actual: <b>${escapeHtml(event.actual)}</b>\n`;
+    if (event.forecast) {
+        block += `📈 Forecast: ${escapeHtml(event.forecast)}\n`;
+    }
+    if (event.previous) {
+        block += `📉 Previous: ${escapeHtml(event.previous)}\n`;
+    }
+
+    return {
+        title: `📢 <b>Kết quả tin đã ra</b>`,
+        intro: `${SEPARATOR}\n\n`,
+        blocks: [block],
+        footer: verdict ? `\n${VERDICT_LABELS[verdict]}\n` : '',
+    };
+}
+
+/**
+ * Build the notice about calendar changes found by a refresh
+ * @param {object} changes - { added, removed, moved }
+ * @returns {object} Message layout
+ */
+function buildScheduleChangeMessage({ added, removed, moved }) {
+    return {
+        title: `🔄 <b>Lịch tin thay đổi</b>`,
+        intro: `${SEPARATOR}\n\n`,
+        blocks: [
+            ...moved.map(
+                ({ before, after }) =>
+                    `🕒 <b>${escapeHtml(after.title)}</b>: ${formatDateTime(before.date)} → ${formatDateTime(after.date)}\n`
+            ),
+            ...added.map((event) => `➕ ${formatDateTime(event.date)} <b>${escapeHtml(event.title)}</b>\n`),
+            ...removed.map((event) => `❌ <s>${formatDateTime(event.date)} ${escapeHtml(event.title)}</s>\n`),
+        ],
+    };
+}
+
+/**
+ * Build the alert for a custom scheduler slot
+ * @param {object} alert - { date, name, level }
+ * @returns {object} Message layout
+ */
+function buildSchedulerSlotMessage({ date, name, level }) {
+    const timeStr = formatDateTime(new Date(date).toISOString());
+    return {
+        title: `🔔 <b>${escapeHtml(name)}</b>\n`,
+        blocks: [`🕒 Thời gian: <b>${timeStr}</b>\n⚠️ Mức độ: ${escapeHtml(level)}`],
+    };
+}
+
+/**
+ * Build the market reaction report of high-impact events
+ * @param {object} alert - { events, symbol, base, moves, high, low, rangePct }
+ * @returns {object} Message layout
+ */
+function buildMarketReactionMessage({ events, symbol, base, moves, high, low, rangePct }) {
+    const lastMove = moves[moves.length - 1];
+    const titles = events.map((e) => escapeHtml(e.title)).join(', ');
+
+    return {
+        title:
+            `${lastMove.changePct >= 0 ? '📈' : '📉'} <b>Market reaction: ${escapeHtml(symbol)}</b>\n` +
+            `<i>${titles} · ${formatDateTime(events[0].date)}</i>`,
+        intro: `${SEPARATOR}\n\n`,
+        blocks: [
+            `🕒 Pre-event (${formatDateTime(base.at)}): <b>${formatPrice(base.price)}</b>\n`,
+            ...moves.map((move) => `⏱ ${move.label}: <b>${formatPrice(move.price)}</b> (${formatChange(move.changePct)})\n`),
+            `↕️ High / low: ${formatPrice(high)} / ${formatPrice(low)} (range ${rangePct.toFixed(2)}%)\n`,
+        ],
+    };
+}
+
+/**
+ * Build the weekly outlook (or the Sunday preview of next week)
+ * @param {object} alert - { weekLabel, preview, total, days }
+ * @returns {object} Message layout
+ */
+function buildWeeklyOutlookMessage({ weekLabel, preview, total, days }) {
+    const blocks = days.map((day) => {
+        let block = `${day.heaviest ? '🔥' : '📅'} <b>${day.dateLabel}</b>: ${day.events.length} event(s)`;
+        block += day.heaviest ? ' <i>(busiest day)</i>\n' : '\n';
+        day.events.forEach((event) => {
+            block += `   ${formatDateTime(event.date)} ${escapeHtml(event.title)}\n`;
+        });
+        return `${block}\n`;
+    });
+
+    return {
+        title: `🗓 <b>${preview ? 'Next week preview' : 'Weekly outlook'} ${weekLabel}</b>`,
+        intro: `${SEPARATOR}\n\n`,
+        blocks: blocks.length > 0 ? blocks : ['<i>No matching events this week.</i>\n\n'],
+        footer: `${SEPARATOR}\n<i>${total} event(s) this week</i>`,
+    };
+}
+
+/**
+ * Build the summary of the alerts held back during a quiet period
+ * @param {object} alert - { reason, name, items }
+ * @returns {object} Message layout
+ */
+function buildCatchUpMessage({ reason, name, items }) {
+    return {
+        title: `🔕 <b>${items.length} alert(s) held back</b>\n<i>${SUPPRESSION_LABELS[reason]}: ${escapeHtml(name)}</i>`,
+        intro: `${SEPARATOR}\n\n`,
+        blocks: items.map((item) => `${formatDateTime(item.at)} ${escapeHtml(item.text)}\n`),
+        footer: `${SEPARATOR}\n<i>The quiet period is over, alerts are back on.</i>`,
+    };
+}
+
+/**
+ * Format any alert as a Telegram message layout
+ * @param {object} alert - See alertContent.js for the alert types
+ * @returns {object} Message layout
+ */
+function formatTelegramAlert(alert) {
+    switch (alert.type) {
+        case 'news-digest':
+            return buildNewsAlertMessage(alert.events, alert.dateLabel);
+        case 'pre-event':
+            return buildPreEventMessage(alert.events);
+        case 'outcome':
+            return buildOutcomeMessage(alert.event, alert.verdict);
+        case 'schedule-change':
+            return buildScheduleChangeMessage(alert);
+        case 'scheduler-slot':
+            return buildSchedulerSlotMessage(alert);
+        case 'market-reaction':
+            return buildMarketReactionMessage(alert);
+        case 'weekly-outlook':
+            return buildWeeklyOutlookMessage(alert);
+        case 'catch-up':
+            return buildCatchUpMessage(alert);
+        default:
+            throw new Error(`Unknown alert type: ${alert.type}`);
+    }
+}
+
+module.exports = { formatTelegramAlert, formatEventBlock, buildNewsAlertMessage };
@@ -0,0 +1,34 @@
+/**
+ * Formatter: Generic JSON webhook body
+ *
+ * Carries both the human-readable content and the raw alert data, so the
+ * receiving side can render it or process it however it likes.
+ */
+const { describeAlert } = require('./alertContent');
+const clock = require('../../utils/clock');
+
+/**
+ * Format an alert as a JSON webhook body
+ * @param {object} alert - See alertContent.js for the alert types
+ * @param {string} channel - "news" or "scheduler"
+ * @returns {object} Request body
+ */
+function formatWebhookAlert(alert, channel) {
+    const { type, expiresAt, ...data } = alert;
+    const content = describeAlert(alert);
+
+    return {
+        type,
+        channel,
+        sentAt: clock.now().toISOString(),
+        title: `${content.emoji} ${content.title}`,
+        items: content.items.map((item) => ({
+            heading: item.heading,
+            fields: Object.fromEntries(item.fields),
+        })),
+        footer: content.footer,
+        data,
+    };
+}
+
+module.exports = { formatWebhookAlert };
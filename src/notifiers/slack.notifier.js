@@ -0,0 +1,36 @@
+/**
+ * Notifier: Slack incoming webhook
+ */
+const axios = require('axios');
+const { enqueueMessage, getEndpointKey } = require('../services/outbox.service');
+const { formatSlackAlert } = require('./formatters/slack.formatter');
+
+/**
+ * Create a Slack notifier
+ * @param {object} options
+ * @param {object} options.webhookUrls - Incoming webhook URL per channel: { news, scheduler }
+ * @returns {{ name: string, send: Function }}
+ */
+function createSlackNotifier({ webhookUrls }) {
+    return {
+        name: 'slack',
+        async send(alert, channel) {
+            const url = webhookUrls[channel];
+            if (!url) {
+                throw new Error(`No Slack webhook configured for ${channel} alerts`);
+            }
+
+            for (const payload of formatSlackAlert(alert)) {
+                await enqueueMessage({
+                    chatKey: getEndpointKey('slack', url),
+                    label: `slack ${payload.text}`,
+                    payload,
+                    expiresAt: alert.expiresAt || null,
+                    deliver: () => axios.post(url, payload),
+                });
+            }
+        },
+    };
+}
+
+module.exports = { createSlackNotifier };
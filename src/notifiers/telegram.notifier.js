@@ -0,0 +1,39 @@
+/**
+ * Notifier: Telegram group topics
+ *
+ * News alerts go to the news topic, scheduler alerts to the BTC topic, unless
+ * the alert's destination names its own chat/topic (subscriptions).
+ * Alerts with a `pin` slot (weekly outlook) are pinned, replacing the message
+ * previously pinned in that slot of the topic.
+ */
+const { sendLayout } = require('../services/telegram.service');
+const { replacePinnedMessage } = require('../services/pinnedMessages.service');
+const { formatTelegramAlert } = require('./formatters/telegram.formatter');
+
+/**
+ * Create the Telegram notifier
+ * @param {object} options
+ * @param {string} options.chatId - Group/channel id
+ * @param {object} options.topics - Topic id per channel: { news, scheduler }
+ * @returns {{ name: string, send: Function }}
+ */
+function createTelegramNotifier({ chatId, topics }) {
+    return {
+        name: 'telegram',
+        async send(alert, channel, destination = {}) {
+            const topicId = destination.chatId ? destination.topicId : topics[channel];
+            const targetChatId = destination.chatId || chatId;
+
+            const sent = await sendLayout(formatTelegramAlert(alert), topicId || null, {
+                chatId: targetChatId,
+                expiresAt: alert.expiresAt || null,
+            });
+
+            if (alert.pin && sent && sent.result) {
+                await replacePinnedMessage(`${alert.pin}:${targetChatId}:${topicId || ''}`, targetChatId, sent.result.message_id);
+            }
+        },
+    };
+}
+
+module.exports = { createTelegramNotifier };
@@ -0,0 +1,39 @@
+/**
+ * Notifier: Generic JSON webhook
+ *
+ * POSTs every alert (see formatters/webhook.formatter.js) to a single URL.
+ */
+const axios = require('axios');
+const { enqueueMessage, getEndpointKey } = require('../services/outbox.service');
+const { formatWebhookAlert } = require('./formatters/webhook.formatter');
+
+/**
+ * Create a generic webhook notifier
+ * @param {object} options
+ * @param {string} options.url - Endpoint receiving the alerts
+ * @param {string} [options.authHeader] - Value of the Authorization header, if any
+ * @returns {{ name: string, send: Function }}
+ */
+function createWebhookNotifier({ url, authHeader }) {
+    if (!url) {
+        throw new Error('Webhook notifier requires WEBHOOK_URL');
+    }
+    const headers = authHeader ? { Authorization: authHeader } : {};
+
+    return {
+        name: 'webhook',
+        async send(alert, channel) {
+            const payload = formatWebhookAlert(alert, channel);
+
+            await enqueueMessage({
+                chatKey: getEndpointKey('webhook', url),
+                label: `webhook ${payload.title}`,
+                payload,
+                expiresAt: alert.expiresAt || null,
+                deliver: () => axios.post(url, payload, { headers }),
+            });
+        },
+    };
+}
+
+module.exports = { createWebhookNotifier };
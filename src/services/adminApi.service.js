@@ -0,0 +1,337 @@
+/**
+ * Service: HTTP admin API
+ *
+ * A small JSON API for monitoring and manual operations:
+ *   GET  /health     - last successful fetch and last delivered message
+ *   GET  /jobs       - pending daily, pre-event and scheduler alerts (?type= to filter)
+ *   POST /refresh    - re-run the weekly fetch & schedule
+ *   POST /test-alert - send a sample message, body: { "topic": "news"|"btc"|<topicId>, "chatId"?, "text"? }
+ *   GET  /metrics    - Prometheus metrics (text exposition format, see metrics.service.js)
+ *   GET  /mutes      - active mutes (see suppression.service.js)
+ *   POST /mutes      - mute a target, body: { "target": "scheduler:<id>", "until": "2h"|<ISO time>, "reason"? }
+ *   DELETE /mutes?target=<target> - remove a mute
+ *   GET  /dead-letters - messages the outbox gave up on, most recent first (?limit=, default 50)
+ *
+ * Every request must carry the ADMIN_API_TOKEN, either as
+ * "Authorization: Bearer <token>" or "X-Admin-Token: <token>".
+ * The API is only started when ADMIN_API_PORT is set.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'adminApi' });
+const { resolveTopicId, sendTestMessage } = require('./testMessage.service');
+const { formatDateTime } = require('./timezone.service');
+const { getLastFetchTime } = require('./calendarState.service');
+const { listAlerts } = require('./alertStore.service');
+const { getQueueSize, getLastSentAt, getDeadLetters } = require('./outbox.service');
+const { renderMetrics } = require('./metrics.service');
+const { parseMuteUntil, addMute, removeMute, listMutes } = require('./suppression.service');
+const { fetchAndScheduleAlerts } = require('../cron/weeklyFetch.cron');
+
+const JOB_TYPES = ['daily', 'pre-event', 'scheduler'];
+
+const DEFAULT_DEAD_LETTER_LIMIT = 50;
+
+// Request bodies are tiny JSON objects
+const MAX_BODY_BYTES = 16 * 1024;
+
+let server = null;
+let refreshing = null;
+
+/**
+ * Error answered with a given HTTP status
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Check the request's token against ADMIN_API_TOKEN (constant time)
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    const token = match ? match[1].trim() : req.headers['x-admin-token'];
+    if (!token) return false;
+
+    const expected = Buffer.from(config.admin.token);
+    const given = Buffer.from(String(token));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Read and parse a JSON request body (empty body → {})
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>}
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(httpError(413, 'Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (!body.trim()) return resolve({});
+            try {
+                const parsed = JSON.parse(body);
+                if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                    throw new Error('not an object');
+                }
+                resolve(parsed);
+            } catch (error) {
+                reject(httpError(400, 'Request body must be a JSON object'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Send a plain text response
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string} body
+ * @param {string} contentType
+ */
+function sendText(res, status, body, contentType) {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(body);
+}
+
+/*
+ * Route handlers receive the parsed URL and request, and return the JSON body
+ * (or { text, contentType } for non-JSON responses)
+ */
+
+function handleHealth() {
+    const lastFetch = getLastFetchTime();
+    const lastSent = getLastSentAt();
+
+    return {
+        status: 'ok',
+        uptimeSeconds: Math.round(process.uptime()),
+        lastFetchAt: lastFetch ? lastFetch.toISOString() : null,
+        lastSentAt: lastSent ? lastSent.toISOString() : null,
+        outboxQueueSize: getQueueSize(),
+    };
+}
+
+function handleJobs(url) {
+    const typeFilter = url.searchParams.get('type');
+    if (typeFilter && !JOB_TYPES.includes(typeFilter)) {
+        throw httpError(400, `Unknown job type "${typeFilter}" (expected one of: ${JOB_TYPES.join(', ')})`);
+    }
+
+    const types = typeFilter ? [typeFilter] : JOB_TYPES;
+    const now = new Date();
+    const jobs = listAlerts({ status: 'pending' })
+        .filter((r) => types.includes(r.type) && new Date(r.expiresAt || r.fireAt) > now)
+        .sort((a, b) => new Date(a.fireAt) - new Date(b.fireAt))
+        .map((r) => ({
+            id: r.id,
+            type: r.type,
+            label: r.label,
+            fireAt: r.fireAt,
+            fireAtLocal: formatDateTime(r.fireAt),
+            expiresAt: r.expiresAt || null,
+        }));
+
+    return { count: jobs.length, jobs };
+}
+
+async function handleRefresh() {
+    // A refresh already in progress is joined instead of started twice
+    if (!refreshing) {
+        refreshing = fetchAndScheduleAlerts().finally(() => {
+            refreshing = null;
+        });
+    }
+
+    // fetchAndScheduleAlerts logs its own failures
+    const completed = await refreshing;
+    if (!completed) {
+        throw httpError(502, 'Fetch & schedule failed, see logs');
+    }
+    return { ok: true, lastFetchAt: getLastFetchTime().toISOString() };
+}
+
+async function handleTestAlert(url, req) {
+    const body = await readJsonBody(req);
+
+    try {
+        resolveTopicId(body.topic);
+    } catch (error) {
+        throw httpError(400, error.message);
+    }
+
+    try {
+        const sent = await sendTestMessage({
+            topic: body.topic,
+            chatId: body.chatId,
+            text: body.text,
+            origin: 'the admin API',
+        });
+        return { ok: true, ...sent };
+    } catch (error) {
+        throw httpError(502, `Test message failed: ${error.message}`);
+    }
+}
+
+function handleMetrics() {
+    return { text: renderMetrics(), contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+function handleListMutes() {
+    const mutes = listMutes();
+    return { count: mutes.length, mutes };
+}
+
+async function handleAddMute(url, req) {
+    const body = await readJsonBody(req);
+    if (!body.target || typeof body.target !== 'string') {
+        throw httpError(400, 'Body must name a "target", e.g. "scheduler:<id>" or "subscription:<name>"');
+    }
+
+    let until;
+    try {
+        until = parseMuteUntil(body.until);
+    } catch (error) {
+        throw httpError(400, error.message);
+    }
+
+    return { ok: true, mute: addMute(body.target, until, body.reason ? String(body.reason) : '') };
+}
+
+function handleRemoveMute(url) {
+    const target = url.searchParams.get('target');
+    if (!target) {
+        throw httpError(400, 'Missing ?target=');
+    }
+    if (!removeMute(target)) {
+        throw httpError(404, `No mute for "${target}"`);
+    }
+    return { ok: true };
+}
+
+function handleDeadLetters(url) {
+    const limitParam = url.searchParams.get('limit');
+    const limit = limitParam === null ? DEFAULT_DEAD_LETTER_LIMIT : Number(limitParam);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw httpError(400, 'limit must be a positive integer');
+    }
+
+    const deadLetters = getDeadLetters().reverse();
+    return { count: deadLetters.length, deadLetters: deadLetters.slice(0, limit) };
+}
+
+const ROUTES = {
+    'GET /health': handleHealth,
+    'GET /jobs': handleJobs,
+    'POST /refresh': handleRefresh,
+    'POST /test-alert': handleTestAlert,
+    'GET /metrics': handleMetrics,
+    'GET /mutes': handleListMutes,
+    'POST /mutes': handleAddMute,
+    'DELETE /mutes': handleRemoveMute,
+    'GET /dead-letters': handleDeadLetters,
+};
+
+/**
+ * Dispatch a request to its route handler
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+        if (!isAuthorized(req)) {
+            throw httpError(401, 'Unauthorized');
+        }
+
+        const handler = ROUTES[`${req.method} ${url.pathname}`];
+        if (!handler) {
+            const knownPath = Object.keys(ROUTES).some((route) => route.endsWith(` ${url.pathname}`));
+            throw httpError(knownPath ? 405 : 404, knownPath ? 'Method not allowed' : 'Not found');
+        }
+
+        const result = await handler(url, req);
+        if (typeof result.text === 'string') {
+            sendText(res, 200, result.text, result.contentType);
+        } else {
+            sendJson(res, 200, result);
+        }
+    } catch (error) {
+        const status = error.status || 500;
+        if (status >= 500) {
+            logger.error(`Admin API ${req.method} ${url.pathname} failed:`, error.message);
+        }
+        sendJson(res, status, { error: error.message });
+    }
+}
+
+/**
+ * Start the admin API (no-op when ADMIN_API_PORT is not set)
+ * @returns {Promise<http.Server|null>}
+ */
+function startAdminApi() {
+    const { port, host, token } = config.admin;
+
+    if (!port) {
+        logger.info('Admin API disabled (ADMIN_API_PORT not set)');
+        return Promise.resolve(null);
+    }
+    if (!token) {
+        throw new Error('ADMIN_API_TOKEN is required when ADMIN_API_PORT is set');
+    }
+    if (server) return Promise.resolve(server);
+
+    server = http.createServer(handleRequest);
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const paths = [...new Set(Object.keys(ROUTES).map((route) => route.split(' ')[1]))];
+            logger.info(`🛠 Admin API listening on http://${host}:${port} (${paths.join(', ')})`);
+            resolve(server);
+        });
+    });
+}
+
+/**
+ * Stop the admin API
+ * @returns {Promise<void>}
+ */
+function stopAdminApi() {
+    if (!server) return Promise.resolve();
+
+    const closing = server;
+    server = null;
+    return new Promise((resolve) => closing.close(() => resolve()));
+}
+
+module.exports = { startAdminApi, stopAdminApi };
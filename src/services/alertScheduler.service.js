@@ -0,0 +1,204 @@
+/**
+ * Service: Schedule one-shot alerts backed by the durable alert store
+ *
+ * Every alert is recorded in the store before a cron job is created,
+ * and the job delivers through `deliverOnce`, so:
+ *   - an alert that was already sent is never scheduled again,
+ *   - an alert whose fire time passed while the process was down is sent
+ *     right away if it is still useful (before `expiresAt`), otherwise expired.
+ *
+ * Jobs are run by a job runner: node-cron and timers by default, a virtual
+ * queue during simulations (see setJobRunner).
+ *
+ * Alerts planned with a target are checked against the suppression windows
+ * (quiet hours, holidays, mutes) when they fire; a suppressed alert is
+ * recorded as such and handed to the suppression handler (catch-up summaries).
+ */
+const cron = require('node-cron');
+const logger = require('../utils/logger').child({ module: 'alertScheduler' });
+const { planAlert, deliverOnce, expireAlert, suppressAlert, getAlert } = require('./alertStore.service');
+const { getSuppression } = require('./suppression.service');
+const { recordDeliveryLateness, recordAlertSuppressed } = require('./metrics.service');
+const clock = require('../utils/clock');
+const { getCronExpression, formatDateTime } = require('./timezone.service');
+
+// One-shot jobs fire at an absolute instant, so they are expressed in UTC:
+// a local wall-clock expression would be ambiguous in the hour repeated when DST ends
+const JOB_TIMEZONE = 'UTC';
+
+/**
+ * Default job runner: one-shot node-cron jobs and timers
+ *   at(job, fireAt, fn)     - run fn at fireAt, returns a task with stop()
+ *   after(job, delayMs, fn) - run fn after a delay (0 = as soon as possible), returns a task with stop()
+ * `job` ({ id, type }) identifies what is being run.
+ */
+const cronJobRunner = {
+    at: (job, fireAt, fn) =>
+        cron.schedule(getCronExpression(fireAt, JOB_TIMEZONE), fn, {
+            timezone: JOB_TIMEZONE,
+            maxExecutions: 1,
+        }),
+    after: (job, delayMs, fn) => {
+        if (delayMs > 0) {
+            const timer = setTimeout(fn, delayMs);
+            return { stop: () => clearTimeout(timer) };
+        }
+        const immediate = setImmediate(fn);
+        return { stop: () => clearImmediate(immediate) };
+    },
+};
+
+let jobRunner = cronJobRunner;
+
+// Called with (record, suppression) for every alert held back by a suppression window
+let suppressionHandler = null;
+
+/**
+ * Hold an alert back if its target is in a suppression window
+ * @param {string} id - Alert id
+ * @param {string} label - Human readable description
+ * @returns {boolean} true if the alert was suppressed
+ */
+function suppressIfQuiet(id, label) {
+    const record = getAlert(id);
+    if (!record || record.status !== 'pending' || !record.target) return false;
+
+    const suppression = getSuppression(record.target.key, { type: record.type });
+    if (!suppression) return false;
+
+    suppressAlert(id, suppression);
+    recordAlertSuppressed(record.type, suppression.reason);
+    const untilStr = formatDateTime(suppression.until.toISOString());
+    logger.info(`🔕 Alert suppressed (${suppression.name}) until ${untilStr}: ${label}`, {
+        event: 'alert.suppressed',
+        alertId: id,
+        alertType: record.type,
+        reason: suppression.reason,
+        until: suppression.until.toISOString(),
+    });
+
+    if (suppressionHandler) suppressionHandler(getAlert(id), suppression);
+    return true;
+}
+
+/**
+ * Deliver an alert through the store and log the outcome
+ * @param {string} id - Alert id
+ * @param {string} label - Human readable description
+ * @param {Function} send - Async function that sends the message
+ * @returns {Promise<boolean>} true if the alert was sent by this call
+ */
+async function deliverAlert(id, label, send) {
+    const log = logger.child({ alertId: id });
+
+    try {
+        if (suppressIfQuiet(id, label)) return false;
+
+        const sent = await deliverOnce(id, send);
+        if (sent) {
+            const record = getAlert(id);
+            const latenessSeconds = Math.max(0, (new Date(record.sentAt) - new Date(record.fireAt)) / 1000);
+            log.info(`✅ Alert sent: ${label}`, { event: 'alert.sent', alertType: record.type, latenessSeconds });
+            recordDeliveryLateness(record.type, record.fireAt, new Date(record.sentAt));
+        }
+        return sent;
+    } catch (error) {
+        log.error(`Failed to send alert ${label}:`, error.message, { event: 'alert.failed' });
+        return false;
+    }
+}
+
+/**
+ * Plan an alert in the store and register a one-shot cron job for it
+ *
+ * @param {object} options
+ * @param {string} options.id - Stable unique alert id
+ * @param {string} options.type - Alert type ("daily", "pre-event", "scheduler", ...)
+ * @param {Date} options.fireAt - When to send
+ * @param {Date} [options.expiresAt] - Latest time a late (catch-up) send is still useful
+ * @param {string} [options.label] - Description for logs
+ * @param {object} [options.payload] - Data stored alongside the record
+ * @param {object} [options.target] - Who receives the alert, for suppression windows:
+ *   { key: "subscription:<name>" | "scheduler:<id>", channel, destination }
+ * @param {Function} [options.send] - Async function that sends the message
+ * @param {Function} [options.onFire] - Called instead of delivering `send` when the job fires;
+ *   it must call `deliverAlert` itself (used by alerts that have to wait for data)
+ * @returns {object|null} node-cron task, or null when nothing was scheduled
+ */
+function scheduleAlertJob({
+    id,
+    type,
+    fireAt,
+    expiresAt = null,
+    label = id,
+    payload = null,
+    target = null,
+    send,
+    onFire = () => deliverAlert(id, label, send),
+}) {
+    const now = clock.now();
+    const log = logger.child({ alertId: id, alertType: type });
+
+    // Nothing to do for alerts that are already too late to matter
+    if (fireAt <= now && !(expiresAt && expiresAt > now)) {
+        log.debug(`Alert ${label} is in the past, skipping`, { event: 'alert.expired' });
+        expireAlert(id);
+        return null;
+    }
+
+    const record = planAlert({ id, type, fireAt, expiresAt, label, payload, target });
+
+    if (record.status !== 'pending') {
+        log.info(`Alert ${label} already ${record.status} at ${record.sentAt || record.updatedAt}, not rescheduling`, {
+            event: 'alert.already_handled',
+            status: record.status,
+        });
+        return null;
+    }
+
+    if (fireAt <= now) {
+        log.warn(`Alert ${label} was due at ${formatDateTime(fireAt.toISOString())} and was missed, sending now`, {
+            event: 'alert.missed',
+            fireAt: fireAt.toISOString(),
+        });
+        jobRunner.after({ id, type }, 0, onFire);
+        return null;
+    }
+
+    log.debug(`Alert ${label} scheduled for ${formatDateTime(fireAt.toISOString())}`, {
+        event: 'alert.scheduled',
+        fireAt: fireAt.toISOString(),
+    });
+
+    return jobRunner.at({ id, type }, fireAt, onFire);
+}
+
+/**
+ * Run a step of an alert again later (e.g. a follow-up waiting for data)
+ * @param {string} id - Alert id
+ * @param {string} type - Alert type
+ * @param {number} delayMs
+ * @param {Function} fn
+ * @returns {object} Task with stop(), to cancel the retry
+ */
+function retryAlertLater(id, type, delayMs, fn) {
+    return jobRunner.after({ id, type }, delayMs, fn);
+}
+
+/**
+ * Set the function called for every suppressed alert (null to remove it)
+ * @param {Function|null} handler - (record, suppression) => void
+ */
+function setSuppressionHandler(handler) {
+    suppressionHandler = handler;
+}
+
+/**
+ * Replace the job runner (null restores node-cron)
+ * @param {object|null} runner - { at(job, fireAt, fn), after(job, delayMs, fn) }, both returning a task with stop()
+ */
+function setJobRunner(runner) {
+    jobRunner = runner || cronJobRunner;
+}
+
+module.exports = { scheduleAlertJob, deliverAlert, retryAlertLater, setJobRunner, setSuppressionHandler };
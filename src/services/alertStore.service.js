@@ -0,0 +1,249 @@
+/**
+ * Service: Durable alert store
+ *
+ * Persists every planned alert and its delivery state to a local JSON file,
+ * so a restart neither loses an alert that was due nor sends one twice.
+ *
+ * Record lifecycle:
+ *   pending → sending → sent
+ *           ↘ cancelled / expired / suppressed
+ *
+ * "suppressed" alerts fell in a quiet period (see suppression.service.js):
+ * they are kept, with the window that held them back, instead of being dropped.
+ *
+ * An alert is switched to "sending" (and flushed to disk) BEFORE the message
+ * goes out. If the process dies mid-send the alert is never retried, which
+ * keeps a crash loop from spamming the topic.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'alertStore' });
+const clock = require('../utils/clock');
+
+// Records whose fire time is older than this are dropped on load
+const RETENTION_MS = 14 * 24 * 60 * 60 * 1000;
+
+let state = null;
+
+// In-memory stores (simulations) are never read from or written to disk
+let memoryOnly = false;
+
+/**
+ * Resolve the absolute path of the store file
+ * @returns {string}
+ */
+function getStorePath() {
+    return path.resolve(config.store.file);
+}
+
+/**
+ * Load the store from disk (once) and drop stale records
+ * @returns {object} In-memory store state
+ */
+function load() {
+    if (state) return state;
+
+    const filePath = getStorePath();
+    state = { alerts: {} };
+
+    if (fs.existsSync(filePath)) {
+        try {
+            state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            state.alerts = state.alerts || {};
+        } catch (error) {
+            logger.error(`Failed to read alert store ${filePath}: ${error.message}`);
+            // Keep the unreadable file around for inspection instead of overwriting it
+            fs.renameSync(filePath, `${filePath}.corrupt-${Date.now()}`);
+        }
+    }
+
+    const cutoff = clock.nowMs() - RETENTION_MS;
+    for (const [id, record] of Object.entries(state.alerts)) {
+        if (new Date(record.fireAt).getTime() < cutoff) {
+            delete state.alerts[id];
+        }
+    }
+
+    logger.info(`Alert store loaded: ${Object.keys(state.alerts).length} record(s) from ${filePath}`);
+    return state;
+}
+
+/**
+ * Write the store to disk atomically (temp file + rename)
+ */
+function save() {
+    if (memoryOnly) return;
+
+    const filePath = getStorePath();
+    const tmpPath = `${filePath}.tmp`;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Record a planned alert, or re-plan an existing one that was not delivered
+ * Delivered (and suppressed) alerts are returned untouched.
+ *
+ * @param {object} alert
+ * @param {string} alert.id - Stable unique id (e.g. "daily:2026-02-10")
+ * @param {string} alert.type - Alert type ("daily", "pre-event", "scheduler", ...)
+ * @param {Date} alert.fireAt - When the alert should be sent
+ * @param {Date} [alert.expiresAt] - After this time the alert is no longer worth sending
+ * @param {string} [alert.label] - Human readable description for logs
+ * @param {object} [alert.payload] - Data needed to rebuild the message
+ * @param {object} [alert.target] - Who receives it: { key, channel, destination } (see suppression.service.js)
+ * @returns {object} The stored record
+ */
+function planAlert({ id, type, fireAt, expiresAt = null, label = id, payload = null, target = null }) {
+    const { alerts } = load();
+    const existing = alerts[id];
+
+    if (existing && ['sent', 'sending', 'suppressed'].includes(existing.status)) {
+        return existing;
+    }
+
+    alerts[id] = {
+        id,
+        type,
+        label,
+        fireAt: fireAt.toISOString(),
+        expiresAt: expiresAt ? expiresAt.toISOString() : null,
+        payload,
+        target,
+        status: 'pending',
+        createdAt: existing ? existing.createdAt : clock.now().toISOString(),
+        updatedAt: clock.now().toISOString(),
+        sentAt: null,
+        lastError: existing ? existing.lastError : null,
+    };
+
+    save();
+    return alerts[id];
+}
+
+/**
+ * Get a stored alert record
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+function getAlert(id) {
+    return load().alerts[id];
+}
+
+/**
+ * Update the status of an alert and persist it
+ * @param {string} id
+ * @param {string} status
+ * @param {object} [extra] - Extra fields to merge into the record
+ */
+function setStatus(id, status, extra = {}) {
+    const record = load().alerts[id];
+    if (!record) return;
+
+    Object.assign(record, extra, { status, updatedAt: clock.now().toISOString() });
+    save();
+}
+
+/**
+ * Send an alert at most once
+ * The record is claimed before sending; on failure it goes back to pending.
+ *
+ * @param {string} id - Alert id (must have been planned)
+ * @param {Function} sendFn - Async function that delivers the message
+ * @returns {Promise<boolean>} true if the alert was sent by this call
+ */
+async function deliverOnce(id, sendFn) {
+    const record = getAlert(id);
+
+    if (!record) {
+        logger.warn(`Alert ${id} is not in the store, refusing to send`);
+        return false;
+    }
+    if (record.status !== 'pending') {
+        logger.info(`Skipping alert ${id}: already ${record.status}`);
+        return false;
+    }
+
+    setStatus(id, 'sending');
+
+    try {
+        await sendFn();
+        setStatus(id, 'sent', { sentAt: clock.now().toISOString(), lastError: null });
+        return true;
+    } catch (error) {
+        setStatus(id, 'pending', { lastError: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Cancel a pending alert (delivered alerts keep their status)
+ * @param {string} id
+ */
+function cancelAlert(id) {
+    const record = getAlert(id);
+    if (record && record.status === 'pending') {
+        setStatus(id, 'cancelled');
+    }
+}
+
+/**
+ * Mark a pending alert as expired (its fire time passed while we were down)
+ * @param {string} id
+ */
+function expireAlert(id) {
+    const record = getAlert(id);
+    if (record && record.status === 'pending') {
+        setStatus(id, 'expired');
+    }
+}
+
+/**
+ * Record that a pending alert was held back by a suppression window
+ * @param {string} id
+ * @param {object} suppression - { reason, name, until }
+ */
+function suppressAlert(id, suppression) {
+    const record = getAlert(id);
+    if (record && record.status === 'pending') {
+        setStatus(id, 'suppressed', {
+            suppression: { reason: suppression.reason, name: suppression.name, until: suppression.until.toISOString() },
+        });
+    }
+}
+
+/**
+ * List stored alerts, optionally filtered by status and/or type
+ * @param {object} [filter]
+ * @param {string} [filter.status]
+ * @param {string} [filter.type]
+ * @returns {Array<object>} Records sorted by fire time
+ */
+function listAlerts({ status, type } = {}) {
+    return Object.values(load().alerts)
+        .filter((r) => (!status || r.status === status) && (!type || r.type === type))
+        .sort((a, b) => new Date(a.fireAt) - new Date(b.fireAt));
+}
+
+/**
+ * Switch to an empty store kept in memory only (used by simulations,
+ * so they never touch the real store)
+ */
+function useMemoryStore() {
+    memoryOnly = true;
+    state = { alerts: {} };
+}
+
+module.exports = {
+    planAlert,
+    getAlert,
+    deliverOnce,
+    cancelAlert,
+    expireAlert,
+    suppressAlert,
+    listAlerts,
+    useMemoryStore,
+};
@@ -0,0 +1,151 @@
+/**
+ * Service: Export calendars as .ics files
+ *
+ * - After each weekly fetch and calendar refresh, every subscription's filtered
+ *   events are written to ICS_EXPORT_DIR/news-<subscription>-<monday>.ics
+ *   (a refresh rewrites the week's file)
+ * - When a scheduler's month is generated, its slots are written to
+ *   ICS_EXPORT_DIR/scheduler-<id>-<YYYY-MM>.ics
+ *
+ * With ICS_POST_TO_TELEGRAM=true each file is also posted as a document to the
+ * Telegram topic of its subscription/scheduler. Posts go through the alert
+ * store, so a restart does not post the same week or month twice.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'calendarExport' });
+const clock = require('../utils/clock');
+const { buildNewsCalendar, buildSchedulerCalendar } = require('./icalendar.service');
+const { sendDocument } = require('./telegram.service');
+const { planAlert, deliverOnce } = require('./alertStore.service');
+const { getDestination } = require('./subscription.service');
+const { getSchedulerDestination } = require('./schedulerDefinitions.service');
+const { escapeHtml } = require('./messageRenderer.service');
+const { formatDateLabel } = require('./timezone.service');
+const { getWeekStart } = require('./weeklyOutlook.service');
+
+const ICS_CONTENT_TYPE = 'text/calendar';
+
+/**
+ * Make a name safe to use in a file name
+ * @param {string} name
+ * @returns {string}
+ */
+function toFileSlug(name) {
+    return String(name).replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'calendar';
+}
+
+/**
+ * Write an .ics file to the export directory
+ * @param {string} filename
+ * @param {string} content
+ * @returns {string} Path of the file
+ */
+function writeCalendarFile(filename, content) {
+    fs.mkdirSync(config.calendarExport.dir, { recursive: true });
+    const filePath = path.join(config.calendarExport.dir, filename);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+/**
+ * Post a calendar file to Telegram, at most once per id
+ * @param {object} options
+ * @param {string} options.id - Alert store id (one per week/month and destination)
+ * @param {string} options.filename
+ * @param {string} options.content
+ * @param {string} options.caption - HTML caption
+ * @param {object} options.destination - { notifiers, chatId, topicId }
+ * @param {string} options.defaultTopicId - Topic used when the destination names no chat
+ */
+async function postCalendarFile({ id, filename, content, caption, destination, defaultTopicId }) {
+    if (!config.calendarExport.postToTelegram || !destination.notifiers.includes('telegram')) return;
+
+    // Same resolution as the Telegram notifier
+    const chatId = destination.chatId || config.telegram.groupId;
+    const topicId = (destination.chatId ? destination.topicId : defaultTopicId) || null;
+
+    planAlert({ id, type: 'calendar-file', fireAt: clock.now(), label: `calendar file ${filename}` });
+    await deliverOnce(id, () => sendDocument(content, filename, topicId, { chatId, caption, contentType: ICS_CONTENT_TYPE }));
+}
+
+/**
+ * Export the week's filtered events of every subscription
+ * Errors are logged, never thrown: the export must not break the weekly fetch.
+ * @param {Array} subscriptions
+ * @param {object} eventsBySubscription - Map of subscription name → filtered events
+ * @param {Function} getLeadMinutes - Lead times of an event's pre-event alerts
+ */
+async function exportNewsCalendars(subscriptions, eventsBySubscription, getLeadMinutes) {
+    if (!config.calendarExport.enabled) return;
+
+    for (const subscription of subscriptions) {
+        const events = [...(eventsBySubscription[subscription.name] || [])].sort(
+            (a, b) => new Date(a.date) - new Date(b.date)
+        );
+        if (events.length === 0) continue;
+
+        try {
+            const weekStart = getWeekStart(new Date(events[0].date));
+            const filename = `news-${toFileSlug(subscription.name)}-${weekStart}.ics`;
+            const content = buildNewsCalendar(subscription, events, getLeadMinutes);
+            const filePath = writeCalendarFile(filename, content);
+            logger.info(`[${subscription.name}] ${events.length} event(s) exported to ${filePath}`, {
+                event: 'calendar_file.written',
+                subscription: subscription.name,
+            });
+
+            await postCalendarFile({
+                id: `calendar-file:news:${subscription.name}:${weekStart}`,
+                filename,
+                content,
+                caption: `📅 <b>Economic calendar</b> week of ${formatDateLabel(weekStart)} (${events.length} events)`,
+                destination: getDestination(subscription),
+                defaultTopicId: config.telegram.newsTopicId,
+            });
+        } catch (error) {
+            logger.error(`[${subscription.name}] Failed to export the calendar file:`, error.message, {
+                event: 'calendar_file.failed',
+                subscription: subscription.name,
+            });
+        }
+    }
+}
+
+/**
+ * Export a scheduler definition's slots for a month
+ * Errors are logged, never thrown.
+ * @param {object} definition - Scheduler definition
+ * @param {string} month - YYYY-MM
+ * @param {Array<Date>} schedule - generateMonthlySchedule output for the month
+ */
+async function exportSchedulerCalendar(definition, month, schedule) {
+    if (!config.calendarExport.enabled || schedule.length === 0) return;
+
+    try {
+        const filename = `scheduler-${toFileSlug(definition.id)}-${month}.ics`;
+        const content = buildSchedulerCalendar(definition, schedule);
+        const filePath = writeCalendarFile(filename, content);
+        logger.info(`Schedule of ${definition.name} for ${month} exported to ${filePath}`, {
+            event: 'calendar_file.written',
+            scheduler: definition.id,
+        });
+
+        await postCalendarFile({
+            id: `calendar-file:scheduler:${definition.id}:${month}`,
+            filename,
+            content,
+            caption: `📅 <b>${escapeHtml(definition.name)}</b>: ${month} (${schedule.length} slots)`,
+            destination: getSchedulerDestination(definition),
+            defaultTopicId: config.telegram.btcTopicId,
+        });
+    } catch (error) {
+        logger.error(`Failed to export the calendar file of ${definition.name}:`, error.message, {
+            event: 'calendar_file.failed',
+            scheduler: definition.id,
+        });
+    }
+}
+
+module.exports = { exportNewsCalendars, exportSchedulerCalendar };
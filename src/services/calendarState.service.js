@@ -0,0 +1,63 @@
+/**
+ * Service: In-memory state of the latest calendar fetch
+ *
+ * Written by the weekly fetch, read by the bot commands and the refresh.
+ * Filtered events are kept per subscription.
+ */
+
+const state = {
+    lastFetchAt: null,
+    eventsBySubscription: {},
+};
+
+/**
+ * Record the filtered events of a successful fetch
+ * @param {object} eventsBySubscription - Map of subscription name → filtered events
+ */
+function setCalendarEvents(eventsBySubscription) {
+    state.lastFetchAt = new Date();
+    state.eventsBySubscription = eventsBySubscription;
+}
+
+/**
+ * Get the filtered events of a subscription from the latest successful fetch
+ * @param {string} subscriptionName
+ * @returns {Array}
+ */
+function getCalendarEvents(subscriptionName) {
+    return state.eventsBySubscription[subscriptionName] || [];
+}
+
+/**
+ * Check whether the latest fetch covered a subscription
+ * (false for a subscription added since then)
+ * @param {string} subscriptionName
+ * @returns {boolean}
+ */
+function hasCalendarEvents(subscriptionName) {
+    return Object.prototype.hasOwnProperty.call(state.eventsBySubscription, subscriptionName);
+}
+
+/**
+ * Names of the subscriptions covered by the latest fetch
+ * @returns {Array<string>}
+ */
+function getCalendarSubscriptions() {
+    return Object.keys(state.eventsBySubscription);
+}
+
+/**
+ * Get the time of the latest successful fetch
+ * @returns {Date|null}
+ */
+function getLastFetchTime() {
+    return state.lastFetchAt;
+}
+
+module.exports = {
+    setCalendarEvents,
+    getCalendarEvents,
+    hasCalendarEvents,
+    getCalendarSubscriptions,
+    getLastFetchTime,
+};
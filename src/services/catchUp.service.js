@@ -0,0 +1,145 @@
+/**
+ * Service: Catch-up summaries after quiet periods
+ *
+ * With SUPPRESSION_CATCH_UP=true, every alert held back by a suppression window
+ * (see suppression.service.js) is added to a summary for its target, sent when
+ * the window ends. The summary is a stored alert itself
+ * ("catch-up:<target>:<window end>"), so it survives restarts. If the target is
+ * still suppressed when it fires (e.g. quiet hours followed by a mute), the
+ * summary moves to the end of the new window.
+ */
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'catchUp' });
+const { scheduleAlertJob, deliverAlert, setSuppressionHandler } = require('./alertScheduler.service');
+const { planAlert, getAlert, cancelAlert, listAlerts } = require('./alertStore.service');
+const { getSuppression } = require('./suppression.service');
+const { notify } = require('./notifier.service');
+const { formatDateLabel } = require('./timezone.service');
+
+// A summary that could not be sent this long after its window ended is dropped
+const CATCH_UP_TTL_MS = 12 * 60 * 60 * 1000;
+
+// Catch-up ids with a job in this process
+const scheduledCatchUps = new Set();
+
+/**
+ * One line of the summary for a suppressed alert
+ * @param {object} record - Suppressed alert record
+ * @returns {{ type: string, at: string, text: string }}
+ */
+function summarizeAlert(record) {
+    const { type, payload, fireAt, label } = record;
+
+    switch (type) {
+        case 'daily':
+            return {
+                type,
+                at: fireAt,
+                text: `Daily digest ${formatDateLabel(payload.dateKey)} (${payload.events.length} events)`,
+            };
+        case 'pre-event':
+            return {
+                type,
+                at: payload.events[0].date,
+                text: `${payload.events.map((e) => e.title).join(', ')} (${payload.leadMinutes} min heads-up)`,
+            };
+        case 'follow-up':
+            return { type, at: payload.event.date, text: `${payload.event.title} (result)` };
+        case 'scheduler':
+            return { type, at: payload.date, text: payload.level ? `${payload.name} (${payload.level})` : payload.name };
+        default:
+            return { type, at: fireAt, text: label };
+    }
+}
+
+/**
+ * Register the job of a catch-up summary (once per process)
+ * @param {string} id
+ * @param {Date} fireAt - End of the quiet period
+ * @param {object} payload - { target, reason, name, items }
+ */
+function scheduleCatchUpJob(id, fireAt, payload) {
+    const label = `catch-up summary for ${payload.target.key} (${payload.items.length} alert(s))`;
+    const expiresAt = new Date(fireAt.getTime() + CATCH_UP_TTL_MS);
+
+    if (scheduledCatchUps.has(id)) {
+        // The job exists: only the stored list of alerts grows
+        planAlert({ id, type: 'catch-up', fireAt, expiresAt, label, payload });
+        return;
+    }
+
+    scheduledCatchUps.add(id);
+    scheduleAlertJob({
+        id,
+        type: 'catch-up',
+        fireAt,
+        expiresAt,
+        label,
+        payload,
+        onFire: () => sendCatchUp(id),
+    });
+}
+
+/**
+ * Add alerts to the summary sent when a suppression window ends
+ * @param {object} target - { key, channel, destination }
+ * @param {object} suppression - { reason, name, until }
+ * @param {Array<object>} items - Summary lines (see summarizeAlert)
+ */
+function queueCatchUp(target, suppression, items) {
+    const id = `catch-up:${target.key}:${suppression.until.toISOString()}`;
+    const existing = getAlert(id);
+    const previousItems = existing && existing.status === 'pending' ? existing.payload.items : [];
+
+    scheduleCatchUpJob(id, suppression.until, {
+        target,
+        reason: suppression.reason,
+        name: suppression.name,
+        items: [...previousItems, ...items],
+    });
+}
+
+/**
+ * Send a catch-up summary, or move it if its target is still suppressed
+ * @param {string} id
+ */
+async function sendCatchUp(id) {
+    scheduledCatchUps.delete(id);
+
+    const record = getAlert(id);
+    if (!record || record.status !== 'pending') return;
+
+    const { target, reason, name, items } = record.payload;
+
+    const stillQuiet = getSuppression(target.key, { type: 'catch-up' });
+    if (stillQuiet) {
+        logger.info(`Catch-up summary for ${target.key} postponed: ${stillQuiet.name}`, {
+            event: 'catch_up.postponed',
+            alertId: id,
+        });
+        cancelAlert(id);
+        queueCatchUp(target, stillQuiet, items);
+        return;
+    }
+
+    await deliverAlert(id, record.label, () =>
+        notify(target.channel, { type: 'catch-up', reason, name, items }, target.destination)
+    );
+}
+
+/**
+ * Send catch-up summaries when quiet periods end (SUPPRESSION_CATCH_UP=true)
+ * Registers the suppression handler and reschedules the summaries pending in the store.
+ */
+function startCatchUpSummaries() {
+    if (!config.suppression.catchUp) return;
+
+    setSuppressionHandler((record, suppression) => queueCatchUp(record.target, suppression, [summarizeAlert(record)]));
+
+    const pending = listAlerts({ status: 'pending', type: 'catch-up' });
+    pending.forEach((record) => scheduleCatchUpJob(record.id, new Date(record.fireAt), record.payload));
+
+    logger.info(`Catch-up summaries enabled (${pending.length} pending)`);
+}
+
+module.exports = { startCatchUpSummaries };
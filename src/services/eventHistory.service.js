@@ -0,0 +1,174 @@
+/**
+ * Service: Archive of past releases per indicator
+ *
+ * Every event returned by fetchCalendar is recorded in a local JSON file
+ * (HISTORY_FILE), keyed by country and title ("USD|CPI m/m"). Later fetches
+ * fill in the final `actual`, so the archive grows week after week into the
+ * release history of each indicator: Actual vs Forecast and the surprise
+ * direction ("beat", "miss", "in-line").
+ *
+ * Pre-event alerts show the last HISTORY_ALERT_RELEASES results of their
+ * indicators; getIndicatorHistory() serves reports.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'eventHistory' });
+const { getOutcomeVerdict } = require('../utils/figures');
+
+// Oldest releases of an indicator are dropped beyond this count (~8 years of a monthly release)
+const MAX_RELEASES = 100;
+
+const RELEASE_FIELDS = ['actual', 'forecast', 'previous', 'impact'];
+
+let state = null;
+
+/**
+ * Resolve the absolute path of the history file
+ * @returns {string}
+ */
+function getHistoryPath() {
+    return path.resolve(config.history.file);
+}
+
+/**
+ * Key of an indicator
+ * @param {string} title
+ * @param {string} country
+ * @returns {string}
+ */
+function getIndicatorKey(title, country) {
+    return `${country}|${title}`;
+}
+
+/**
+ * Load the archive from disk (once)
+ * @returns {object} { indicators: { [key]: { title, country, releases: [...] } } }
+ */
+function load() {
+    if (state) return state;
+
+    const filePath = getHistoryPath();
+    state = { indicators: {} };
+
+    if (fs.existsSync(filePath)) {
+        try {
+            state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            state.indicators = state.indicators || {};
+        } catch (error) {
+            logger.error(`Failed to read event history ${filePath}: ${error.message}`);
+            // Keep the unreadable file around for inspection instead of overwriting it
+            fs.renameSync(filePath, `${filePath}.corrupt-${Date.now()}`);
+        }
+    }
+
+    logger.info(`Event history loaded: ${Object.keys(state.indicators).length} indicator(s) from ${filePath}`);
+    return state;
+}
+
+/**
+ * Write the archive to disk atomically (temp file + rename)
+ */
+function save() {
+    const filePath = getHistoryPath();
+    const tmpPath = `${filePath}.tmp`;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(state));
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Add or update one release of an indicator
+ * Empty fields never overwrite known values (the feed drops `actual` for past weeks).
+ * @param {object} event - Normalized calendar event
+ * @returns {boolean} true if the archive changed
+ */
+function recordRelease(event) {
+    const { indicators } = load();
+    const key = getIndicatorKey(event.title, event.country);
+
+    if (!indicators[key]) {
+        indicators[key] = { title: event.title, country: event.country, releases: [] };
+    }
+    const { releases } = indicators[key];
+    const date = new Date(event.date).toISOString();
+
+    let release = releases.find((r) => r.date === date);
+    if (!release) {
+        release = { date };
+        releases.push(release);
+        releases.sort((a, b) => new Date(a.date) - new Date(b.date));
+        if (releases.length > MAX_RELEASES) {
+            releases.splice(0, releases.length - MAX_RELEASES);
+        }
+    }
+
+    let changed = release.actual === undefined;
+    RELEASE_FIELDS.forEach((field) => {
+        if (event[field] && event[field] !== release[field]) {
+            release[field] = event[field];
+            changed = true;
+        } else if (release[field] === undefined) {
+            release[field] = '';
+        }
+    });
+
+    return changed;
+}
+
+/**
+ * Record fetched events in the archive
+ * @param {Array} events - Normalized calendar events
+ * @returns {number} Number of releases added or updated
+ */
+function recordEvents(events) {
+    const changed = events.filter(recordRelease).length;
+
+    if (changed > 0) {
+        save();
+        logger.debug(`Event history: ${changed} release(s) added or updated`, {
+            event: 'history.recorded',
+            releases: changed,
+        });
+    }
+    return changed;
+}
+
+/**
+ * Release history of an indicator, most recent first
+ * @param {string} title - Indicator title as listed in the calendar (e.g. "CPI m/m")
+ * @param {string} country - Currency code (e.g. "USD")
+ * @param {object} [options]
+ * @param {number} [options.limit] - Max releases returned (all when omitted)
+ * @param {string|Date} [options.before] - Only releases before this time
+ * @param {boolean} [options.releasedOnly] - Only releases with an actual figure
+ * @returns {Array<{ date, actual, forecast, previous, impact, surprise }>}
+ *   surprise: "beat", "miss", "in-line" or null when not comparable
+ */
+function getIndicatorHistory(title, country, { limit, before, releasedOnly = false } = {}) {
+    const indicator = load().indicators[getIndicatorKey(title, country)];
+    if (!indicator) return [];
+
+    const beforeMs = before ? new Date(before).getTime() : Infinity;
+    const releases = indicator.releases
+        .filter((r) => new Date(r.date).getTime() < beforeMs)
+        .filter((r) => !releasedOnly || r.actual)
+        .reverse()
+        .map((r) => ({ ...r, surprise: getOutcomeVerdict(r.actual, r.forecast) }));
+
+    return limit === undefined ? releases : releases.slice(0, limit);
+}
+
+/**
+ * Last released results of an event's indicator, before the event itself
+ * @param {object} event
+ * @param {number} [limit] - Defaults to HISTORY_ALERT_RELEASES
+ * @returns {Array} See getIndicatorHistory
+ */
+function getRecentResults(event, limit = config.history.alertReleases) {
+    if (limit <= 0) return [];
+    return getIndicatorHistory(event.title, event.country, { limit, before: event.date, releasedOnly: true });
+}
+
+module.exports = { recordEvents, getIndicatorHistory, getRecentResults };
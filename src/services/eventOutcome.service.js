@@ -0,0 +1,84 @@
+/**
+ * Service: Look up the released figures of an event
+ *
+ * The calendar feed fills in `actual` shortly after a release. This service
+ * re-fetches the feed, finds the same event and compares Actual vs Forecast.
+ */
+const logger = require('../utils/logger').child({ module: 'eventOutcome' });
+const { fetchCalendar } = require('./fetchCalendar.service');
+const { parseFigure, getOutcomeVerdict } = require('../utils/figures');
+
+// Several events released at the same time share one fetch
+const FETCH_CACHE_MS = 30 * 1000;
+
+// Only consider feed entries this close to the original release time
+const MATCH_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+let cache = { fetchedAt: 0, promise: null };
+
+// Fixed feed used instead of fetching (simulations replaying a saved calendar)
+let feedOverride = null;
+
+/**
+ * Fetch the calendar, reusing a recent result
+ * @returns {Promise<Array>}
+ */
+function fetchCalendarCached() {
+    if (feedOverride) return Promise.resolve(feedOverride);
+
+    if (!cache.promise || Date.now() - cache.fetchedAt > FETCH_CACHE_MS) {
+        const promise = fetchCalendar();
+        cache = { fetchedAt: Date.now(), promise };
+
+        // Do not keep a failed fetch around
+        promise.catch(() => {
+            if (cache.promise === promise) {
+                cache = { fetchedAt: 0, promise: null };
+            }
+        });
+    }
+    return cache.promise;
+}
+
+/**
+ * Find the feed entry for an event (same title and country, closest time)
+ * @param {Array} feed - Raw calendar events
+ * @param {object} event - Event we are following up on
+ * @returns {object|null}
+ */
+function matchEvent(feed, event) {
+    const target = new Date(event.date).getTime();
+
+    const candidates = feed
+        .filter((e) => e.title === event.title && e.country === event.country)
+        .map((e) => ({ e, distance: Math.abs(new Date(e.date).getTime() - target) }))
+        .filter(({ distance }) => distance <= MATCH_WINDOW_MS)
+        .sort((a, b) => a.distance - b.distance);
+
+    return candidates.length > 0 ? candidates[0].e : null;
+}
+
+/**
+ * Re-fetch the calendar and return the released version of an event
+ * @param {object} event - Event we are following up on
+ * @returns {Promise<object|null>} Feed entry, or null if the event is no longer listed
+ */
+async function findReleasedEvent(event) {
+    const feed = await fetchCalendarCached();
+    const match = matchEvent(feed, event);
+
+    if (!match) {
+        logger.warn(`Follow-up: "${event.title}" (${event.country}) not found in the calendar feed`);
+    }
+    return match;
+}
+
+/**
+ * Look up released figures in a fixed list of events instead of the live feed
+ * @param {Array|null} events - Normalized events (null to fetch the feed again)
+ */
+function setOutcomeFeed(events) {
+    feedOverride = events;
+}
+
+module.exports = { findReleasedEvent, matchEvent, parseFigure, getOutcomeVerdict, setOutcomeFeed };
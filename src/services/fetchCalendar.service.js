@@ -1,28 +1,133 @@
 /**
- * Service: Fetch economic calendar data from Fair Economy API
+ * Service: Fetch economic calendar data from the configured sources
+ *
+ * Sources (CALENDAR_SOURCES, comma separated, in merge order):
+ *   - thisweek-json: Fair Economy this-week JSON feed (default)
+ *   - nextweek-json: Fair Economy next-week JSON feed
+ *   - thisweek-xml:  Fair Economy this-week XML feed
+ *   - file:          local JSON/CSV file (manual overrides, offline testing)
+ *
+ * Every adapter returns events in the same normalized shape
+ * (see sources/normalizeEvent.js). Results are merged and de-duplicated by
+ * country, title and time; later sources fill in or override earlier ones.
+ * Every fetch is also recorded in the event history (eventHistory.service.js).
  */
-const axios = require('axios');
 const config = require('../config/env');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child({ module: 'fetchCalendar' });
+const { recordCalendarFetch } = require('./metrics.service');
+const { recordEvents } = require('./eventHistory.service');
+const { createFairEconomyJsonSource } = require('./sources/fairEconomyJson.source');
+const { createFairEconomyXmlSource } = require('./sources/fairEconomyXml.source');
+const { createLocalFileSource } = require('./sources/localFile.source');
 
 /**
- * Fetch this week's economic calendar JSON from the API
- * @returns {Promise<Array>} Array of calendar event objects
+ * Build the source adapter for a configured name
+ * @param {string} name
+ * @returns {{ name: string, fetchEvents: Function }}
  */
-async function fetchCalendar() {
-    try {
-        logger.info('Fetching economic calendar from API...');
-        const response = await axios.get(config.api.calendarUrl, {
-            timeout: 10000, // 10s timeout
+function createSource(name) {
+    const { api } = config;
+
+    switch (name) {
+        case 'thisweek-json':
+            return createFairEconomyJsonSource({ name, url: api.calendarUrl });
+        case 'nextweek-json':
+            return createFairEconomyJsonSource({ name, url: api.nextWeekUrl });
+        case 'thisweek-xml':
+            return createFairEconomyXmlSource({ name, url: api.xmlUrl, timezone: api.xmlTimezone });
+        case 'file':
+            if (!api.overrideFile) {
+                throw new Error('Calendar source "file" requires CALENDAR_OVERRIDE_FILE');
+            }
+            return createLocalFileSource({ name, file: api.overrideFile });
+        default:
+            throw new Error(`Unknown calendar source: ${name}`);
+    }
+}
+
+/**
+ * Key used to recognize the same event across sources
+ * @param {object} event - Normalized event
+ * @returns {string}
+ */
+function getMergeKey(event) {
+    return `${event.country}|${event.title.toLowerCase()}|${event.date}`;
+}
+
+/**
+ * Merge event lists, de-duplicating events present in several sources
+ * Non-empty fields from later lists override earlier ones.
+ * @param {Array<Array>} eventLists - Normalized events per source, in merge order
+ * @returns {Array} Merged events sorted by time
+ */
+function mergeEvents(eventLists) {
+    const merged = new Map();
+
+    eventLists.forEach((events) => {
+        events.forEach((event) => {
+            const key = getMergeKey(event);
+            const existing = merged.get(key);
+
+            if (!existing) {
+                merged.set(key, { ...event });
+                return;
+            }
+
+            Object.entries(event).forEach(([field, value]) => {
+                if (value !== '') {
+                    existing[field] = value;
+                }
+            });
         });
+    });
+
+    return [...merged.values()].sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Fetch the economic calendar from all configured sources
+ * @param {object} [options]
+ * @param {Array<string>} [options.sources] - Source names (defaults to CALENDAR_SOURCES)
+ * @returns {Promise<Array>} Array of normalized calendar event objects
+ */
+async function fetchCalendar({ sources = config.api.sources } = {}) {
+    logger.info(`Fetching economic calendar from: ${sources.join(', ')}...`);
+
+    const results = await Promise.allSettled(
+        sources.map((name) => createSource(name).fetchEvents())
+    );
 
-        const data = response.data;
-        logger.info(`Fetched ${data.length} events from calendar API`);
-        return data;
+    const eventLists = [];
+    const outcomes = results.map((result, index) => ({ source: sources[index], ok: result.status === 'fulfilled' }));
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            logger.info(`  → ${sources[index]}: ${result.value.length} events`);
+            eventLists.push(result.value);
+        } else {
+            logger.error(`Failed to fetch calendar source ${sources[index]}:`, result.reason.message, {
+                event: 'calendar.source_failed',
+                source: sources[index],
+            });
+        }
+    });
+
+    if (eventLists.length === 0) {
+        recordCalendarFetch(false, outcomes);
+        throw new Error('All calendar sources failed');
+    }
+    recordCalendarFetch(true, outcomes);
+
+    const data = mergeEvents(eventLists);
+    logger.info(`Fetched ${data.length} events from calendar API`, { event: 'calendar.fetched', events: data.length });
+
+    // The history is a by-product: failing to write it must not fail the fetch
+    try {
+        recordEvents(data);
     } catch (error) {
-        logger.error('Failed to fetch calendar data:', error.message);
-        throw error;
+        logger.error('Failed to record event history:', error.message, { event: 'history.failed' });
     }
+
+    return data;
 }
 
-module.exports = { fetchCalendar };
+module.exports = { fetchCalendar, mergeEvents };
@@ -1,22 +1,173 @@
 /**
- * Service: Filter economic news events by impact & country
+ * Service: Filter economic news events with configurable rules
+ *
+ * A rule keeps an event when every criterion it defines matches:
+ *   - impacts:       set of impact levels (e.g. ["High", "Medium"])
+ *   - countries:     set of currency codes (e.g. ["USD", "EUR"])
+ *   - titleInclude:  regex patterns, at least one must match the title
+ *   - titleExclude:  regex patterns, none may match the title
+ *   - allow:         event titles that always match this rule (a rule with
+ *                    only an allow list matches nothing else)
+ *   - deny:          event titles that never match this rule
+ *   - leadMinutes:   pre-event alert lead times for events matched by this
+ *                    rule (e.g. [60, 15, 5]), overriding the configured defaults
+ *
+ * Rules are evaluated in order and the first match wins.
+ * Matched events are returned as copies tagged with `matchedRule` (and
+ * `leadMinutes` when the rule defines them).
  */
-const logger = require('../utils/logger');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'filterNews' });
+
+// Used when no rules file is configured (original behaviour)
+const DEFAULT_RULES = [
+    {
+        name: 'high-impact-usd',
+        impacts: ['High'],
+        countries: ['USD'],
+    },
+];
 
 /**
- * Filter news events to only keep High-impact USD events
+ * Normalize a raw rule definition into a form that is cheap to evaluate
+ * @param {object} rule - Raw rule from config
+ * @param {number} index - Position of the rule (used for default names and errors)
+ * @returns {object} Compiled rule
+ */
+function compileRule(rule, index) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`Filter rule #${index + 1} must be an object`);
+    }
+
+    const toSet = (values) =>
+        Array.isArray(values) && values.length > 0
+            ? new Set(values.map((v) => String(v).toLowerCase()))
+            : null;
+
+    const toRegexList = (patterns, field) => {
+        if (!Array.isArray(patterns) || patterns.length === 0) return null;
+        return patterns.map((pattern) => {
+            try {
+                return new RegExp(pattern, 'i');
+            } catch (error) {
+                throw new Error(
+                    `Filter rule "${rule.name || index + 1}" has invalid ${field} pattern "${pattern}": ${error.message}`
+                );
+            }
+        });
+    };
+
+    let leadMinutes = null;
+    if (rule.leadMinutes !== undefined) {
+        if (!Array.isArray(rule.leadMinutes) || !rule.leadMinutes.every((m) => Number.isFinite(m) && m > 0)) {
+            throw new Error(`Filter rule "${rule.name || index + 1}" leadMinutes must be a list of positive numbers`);
+        }
+        leadMinutes = [...rule.leadMinutes].sort((a, b) => b - a);
+    }
+
+    const compiled = {
+        name: rule.name || `rule-${index + 1}`,
+        impacts: toSet(rule.impacts),
+        countries: toSet(rule.countries),
+        titleInclude: toRegexList(rule.titleInclude, 'titleInclude'),
+        titleExclude: toRegexList(rule.titleExclude, 'titleExclude'),
+        allow: toSet(rule.allow) || new Set(),
+        deny: toSet(rule.deny) || new Set(),
+        leadMinutes,
+    };
+
+    // A rule made only of an allow list should not act as a catch-all
+    compiled.allowOnly =
+        compiled.allow.size > 0 &&
+        !compiled.impacts &&
+        !compiled.countries &&
+        !compiled.titleInclude &&
+        !compiled.titleExclude;
+
+    return compiled;
+}
+
+/**
+ * Load filter rules from the file configured in FILTER_RULES_FILE
+ * Falls back to the default High-impact USD rule when no file is set.
+ * @returns {Array<object>} Compiled rules
+ */
+function loadFilterRules() {
+    const { rulesFile } = config.filter;
+
+    if (!rulesFile) {
+        return DEFAULT_RULES.map(compileRule);
+    }
+
+    const filePath = path.resolve(rulesFile);
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const rules = Array.isArray(raw) ? raw : raw.rules;
+
+    if (!Array.isArray(rules) || rules.length === 0) {
+        throw new Error(`Filter rules file ${filePath} must contain a non-empty "rules" array`);
+    }
+
+    logger.info(`Loaded ${rules.length} filter rule(s) from ${filePath}`);
+    return rules.map(compileRule);
+}
+
+/**
+ * Check whether a single compiled rule matches an event
+ * @param {object} rule - Compiled rule
+ * @param {object} event - Calendar event
+ * @returns {boolean}
+ */
+function ruleMatches(rule, event) {
+    const title = String(event.title || '');
+    const titleKey = title.toLowerCase();
+
+    if (rule.deny.has(titleKey)) return false;
+    if (rule.allow.has(titleKey)) return true;
+    if (rule.allowOnly) return false;
+
+    if (rule.impacts && !rule.impacts.has(String(event.impact).toLowerCase())) return false;
+    if (rule.countries && !rule.countries.has(String(event.country).toLowerCase())) return false;
+    if (rule.titleInclude && !rule.titleInclude.some((re) => re.test(title))) return false;
+    if (rule.titleExclude && rule.titleExclude.some((re) => re.test(title))) return false;
+
+    return true;
+}
+
+/**
+ * Filter events with a list of compiled rules
  * @param {Array} events - Raw calendar events from API
- * @returns {Array} Filtered events matching criteria
+ * @param {Array<object>} [rules] - Compiled rules (defaults to rules from config)
+ * @returns {Array} Matching events, each tagged with `matchedRule` (and `leadMinutes`)
  */
-function filterHighImpactUSD(events) {
-    const filtered = events.filter((event) => {
-        return event.impact === 'High' && event.country === 'USD';
+function applyFilterRules(events, rules = loadFilterRules()) {
+    const filtered = [];
+
+    events.forEach((event) => {
+        const rule = rules.find((r) => ruleMatches(r, event));
+        if (rule) {
+            const tagged = { ...event, matchedRule: rule.name };
+            if (rule.leadMinutes) {
+                tagged.leadMinutes = rule.leadMinutes;
+            }
+            filtered.push(tagged);
+        }
     });
 
     logger.info(
-        `Filtered ${filtered.length} High-impact USD events from ${events.length} total`
+        `Filtered ${filtered.length} events from ${events.length} total using ${rules.length} rule(s)`
     );
     return filtered;
 }
 
-module.exports = { filterHighImpactUSD };
+/**
+ * Filter news events to only keep High-impact USD events
+ * @param {Array} events - Raw calendar events from API
+ * @returns {Array} Filtered events matching criteria
+ */
+function filterHighImpactUSD(events) {
+    return applyFilterRules(events, DEFAULT_RULES.map(compileRule));
+}
+
+module.exports = { loadFilterRules, applyFilterRules, compileRule, filterHighImpactUSD };
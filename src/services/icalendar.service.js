@@ -0,0 +1,171 @@
+/**
+ * Service: Build RFC 5545 iCalendar (.ics) files
+ *
+ * - buildCalendar: generic VCALENDAR with one VEVENT (and its VALARMs) per entry
+ * - buildNewsCalendar: a subscription's filtered events, with impact/forecast/previous
+ *   in the description and one alarm per pre-event lead time
+ * - buildSchedulerCalendar: the slots of a volatility scheduler, alarm at its lead time
+ *
+ * Times are written in UTC, lines are folded at 75 octets and separated by CRLF.
+ */
+const crypto = require('crypto');
+const clock = require('../utils/clock');
+
+const PRODUCT_ID = '-//news-alert//Economic Calendar//EN';
+const UID_DOMAIN = 'news-alert';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Format a date as an iCalendar UTC date-time (20261103T133000Z)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function formatIcsDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeText(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards their 75 octets
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Stable UID for an entry
+ * @param {string} key - Unique key of the entry
+ * @returns {string}
+ */
+function makeUid(key) {
+    return `${crypto.createHash('sha1').update(key).digest('hex')}@${UID_DOMAIN}`;
+}
+
+/**
+ * Build a calendar
+ *
+ * @param {object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {Array<object>} options.entries - { key, start, summary, description?, categories?, alarms?: [{ minutes, description }] }
+ * @returns {string} .ics content
+ */
+function buildCalendar({ name, entries }) {
+    const stamp = formatIcsDate(clock.now());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+    ];
+
+    entries.forEach((entry) => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${makeUid(entry.key)}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatIcsDate(entry.start)}`,
+            `SUMMARY:${escapeText(entry.summary)}`
+        );
+        if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+        if (entry.categories) lines.push(`CATEGORIES:${escapeText(entry.categories)}`);
+
+        (entry.alarms || []).forEach(({ minutes, description }) => {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeText(description)}`,
+                `TRIGGER:-PT${minutes}M`,
+                'END:VALARM'
+            );
+        });
+
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Build the calendar of a subscription's filtered events
+ * @param {object} subscription
+ * @param {Array} events - Filtered events
+ * @param {Function} getLeadMinutes - Lead times (minutes, longest first) of an event's pre-event alerts
+ * @returns {string} .ics content
+ */
+function buildNewsCalendar(subscription, events, getLeadMinutes) {
+    const entries = events.map((event) => {
+        const summary = `${event.country} ${event.title}`;
+        return {
+            key: `news:${subscription.name}:${event.country}|${event.title}|${event.date}`,
+            start: event.date,
+            summary,
+            description: [
+                `Impact: ${event.impact || '-'}`,
+                `Forecast: ${event.forecast || '-'}`,
+                `Previous: ${event.previous || '-'}`,
+                event.actual ? `Actual: ${event.actual}` : null,
+            ]
+                .filter(Boolean)
+                .join('\n'),
+            categories: event.impact,
+            alarms: getLeadMinutes(event).map((minutes) => ({ minutes, description: `${summary} in ${minutes} min` })),
+        };
+    });
+
+    return buildCalendar({ name: `Economic news (${subscription.name})`, entries });
+}
+
+/**
+ * Build the calendar of a scheduler definition's slots
+ * @param {object} definition - Scheduler definition
+ * @param {Array<Date>} slots
+ * @returns {string} .ics content
+ */
+function buildSchedulerCalendar(definition, slots) {
+    const summary = `${definition.name} (${definition.level})`;
+    const entries = slots.map((date) => ({
+        key: `scheduler:${definition.id}:${date.toISOString()}`,
+        start: date,
+        summary,
+        alarms: [{ minutes: definition.leadMinutes, description: `${summary} in ${definition.leadMinutes} min` }],
+    }));
+
+    return buildCalendar({ name: definition.name, entries });
+}
+
+module.exports = { buildCalendar, buildNewsCalendar, buildSchedulerCalendar, formatIcsDate, foldLine, escapeText };
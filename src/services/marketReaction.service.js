@@ -0,0 +1,262 @@
+/**
+ * Service: Market reaction reports around high-impact events
+ *
+ * With MARKET_REACTION_ENABLED=true, every group of high-impact events released
+ * together gets a reaction report in the BTC topic (the scheduler channel):
+ *   - the price of PRICE_SYMBOL is snapshotted at the pre-event alert time
+ *     (longest lead time of the group) and MARKET_REACTION_MINUTES after the
+ *     release (default +5, +15 and +60 min),
+ *   - after the last snapshot, the report lists the move since the pre-event
+ *     snapshot and the high/low range over the whole period.
+ *
+ * Prices come from a price source (PRICE_SOURCE):
+ *   - binance: Binance-style REST API (BINANCE_API_URL)
+ *   - file:    local JSON file of price points (PRICE_FILE, offline testing)
+ *
+ * The report is a stored alert ("reaction:<events>") whose payload collects the
+ * snapshots, so a restart resumes it; snapshots missed while the process was
+ * down are looked up in the source's price history.
+ */
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'marketReaction' });
+const clock = require('../utils/clock');
+const { scheduleAlertJob, deliverAlert, retryAlertLater } = require('./alertScheduler.service');
+const { planAlert, getAlert, cancelAlert, expireAlert } = require('./alertStore.service');
+const { groupReleases } = require('./releaseGroups.service');
+const { sendMarketReactionAlert } = require('./notifier.service');
+const { formatDateTime } = require('./timezone.service');
+const { createBinanceRestPriceSource } = require('./priceSources/binanceRest.source');
+const { createLocalFilePriceSource } = require('./priceSources/localFile.source');
+
+// Reports that cannot be completed this long after the last snapshot are dropped
+const REPORT_TTL_MS = 2 * 60 * 60 * 1000;
+
+// Wait before asking the price source again after a failure
+const RETRY_DELAY_MS = 60 * 1000;
+
+// Who receives the reports, for quiet hours and mutes ("npm run cli -- mute market-reaction --until 2h")
+const TARGET = { key: 'market-reaction', channel: 'scheduler' };
+
+// Report jobs of this process, keyed by alert id
+const trackedReports = new Map();
+
+let priceSource = null;
+
+// Overrides MARKET_REACTION_ENABLED when not null (simulation)
+let enabledOverride = null;
+
+/**
+ * Turn the reports on or off regardless of MARKET_REACTION_ENABLED
+ * @param {boolean|null} enabled - null restores the configured setting
+ */
+function setMarketReactionsEnabled(enabled) {
+    enabledOverride = enabled;
+}
+
+/**
+ * Build the configured price source (once)
+ * @returns {{ name: string, getPrice: Function, getRange: Function }}
+ */
+function getPriceSource() {
+    if (priceSource) return priceSource;
+
+    const { source, binanceUrl, file } = config.marketReaction;
+    switch (source) {
+        case 'binance':
+            priceSource = createBinanceRestPriceSource({ name: source, baseUrl: binanceUrl });
+            break;
+        case 'file':
+            if (!file) {
+                throw new Error('Price source "file" requires PRICE_FILE');
+            }
+            priceSource = createLocalFilePriceSource({ name: source, file });
+            break;
+        default:
+            throw new Error(`Unknown price source: ${source}`);
+    }
+    return priceSource;
+}
+
+/**
+ * Snapshot times of a release group: the pre-event alert time, then the minutes after the release
+ * @param {Array} events - Events released together, sorted by time
+ * @param {Function} getLeadMinutes - (event) => lead times of its pre-event alerts
+ * @returns {Array<{ label: string, at: string }>}
+ */
+function getCheckpoints(events, getLeadMinutes) {
+    const releaseMs = new Date(events[0].date).getTime();
+    const leadMinutes = Math.max(0, ...events.flatMap(getLeadMinutes));
+
+    return [
+        { label: 'pre-event', at: new Date(releaseMs - leadMinutes * 60 * 1000).toISOString() },
+        ...config.marketReaction.minutesAfter.map((minutes) => ({
+            label: `+${minutes} min`,
+            at: new Date(releaseMs + minutes * 60 * 1000).toISOString(),
+        })),
+    ];
+}
+
+/**
+ * Store the snapshots taken so far and the time of the next step
+ * @param {object} record - Stored alert
+ * @param {Date} fireAt
+ * @param {object} snapshots - Price per checkpoint label
+ * @returns {object} Updated record
+ */
+function saveSnapshots(record, fireAt, snapshots) {
+    return planAlert({
+        id: record.id,
+        type: record.type,
+        fireAt,
+        expiresAt: new Date(record.expiresAt),
+        label: record.label,
+        payload: { ...record.payload, snapshots },
+        target: record.target,
+    });
+}
+
+/**
+ * Build the report from the snapshots and the high/low range, and send it
+ * @param {string} id - Alert id
+ * @param {object} record - Stored alert with every snapshot taken
+ */
+async function sendReport(id, record) {
+    const { events, symbol, checkpoints, snapshots } = record.payload;
+    const first = checkpoints[0];
+    const last = checkpoints[checkpoints.length - 1];
+
+    const { high, low } = await getPriceSource().getRange(symbol, new Date(first.at), new Date(last.at));
+    const base = snapshots[first.label];
+
+    const reaction = {
+        events,
+        symbol,
+        base: { at: first.at, price: base },
+        moves: checkpoints.slice(1).map(({ label, at }) => ({
+            label,
+            at,
+            price: snapshots[label],
+            changePct: ((snapshots[label] - base) / base) * 100,
+        })),
+        high,
+        low,
+        rangePct: ((high - low) / base) * 100,
+    };
+
+    await deliverAlert(id, record.label, () => sendMarketReactionAlert(reaction));
+}
+
+/**
+ * Take the snapshots that are due, then wait for the next one or send the report
+ * Snapshots taken on time read the live price; missed ones the price history.
+ * @param {string} id - Alert id
+ */
+async function takeSnapshots(id) {
+    const record = getAlert(id);
+    if (!record || record.status !== 'pending') return;
+
+    const { symbol, checkpoints } = record.payload;
+    const snapshots = { ...record.payload.snapshots };
+    const log = logger.child({ alertId: id });
+    const now = clock.nowMs();
+
+    try {
+        for (const { label, at } of checkpoints) {
+            if (new Date(at).getTime() > now || snapshots[label] !== undefined) continue;
+
+            snapshots[label] = await getPriceSource().getPrice(symbol, new Date(at));
+            log.debug(`${symbol} ${label}: ${snapshots[label]}`, { event: 'reaction.snapshot', label });
+        }
+
+        const next = checkpoints.find(({ label }) => snapshots[label] === undefined);
+        const updated = saveSnapshots(record, new Date(next ? next.at : now), snapshots);
+
+        if (next) {
+            retryAlertLater(id, record.type, new Date(next.at).getTime() - now, () => takeSnapshots(id));
+            return;
+        }
+
+        await sendReport(id, updated);
+    } catch (error) {
+        // Keep the snapshots taken so far
+        saveSnapshots(record, new Date(record.fireAt), snapshots);
+
+        if (now + RETRY_DELAY_MS > new Date(record.expiresAt).getTime()) {
+            log.warn(`Market reaction ${record.label} abandoned: ${error.message}`, { event: 'reaction.gave_up' });
+            expireAlert(id);
+            return;
+        }
+
+        log.error(`Market reaction ${record.label} failed, retrying:`, error.message, { event: 'reaction.failed' });
+        retryAlertLater(id, record.type, RETRY_DELAY_MS, () => takeSnapshots(id));
+    }
+}
+
+/**
+ * Plan the reaction report of a release group
+ * A report already in progress keeps its snapshots and resumes at its next one.
+ * @param {string} id - Alert id
+ * @param {Array} events - Events released together
+ * @param {Function} getLeadMinutes - (event) => lead times of its pre-event alerts
+ * @returns {object|null} Task of the first job
+ */
+function scheduleReport(id, events, getLeadMinutes) {
+    const { symbol } = config.marketReaction;
+    const checkpoints = getCheckpoints(events, getLeadMinutes);
+    const last = checkpoints[checkpoints.length - 1];
+
+    const existing = getAlert(id);
+    const snapshots = existing && existing.status === 'pending' ? existing.payload.snapshots : {};
+    const next = checkpoints.find(({ label }) => snapshots[label] === undefined) || last;
+
+    const titles = events.map((e) => e.title).join(', ');
+    logger.info(`Market reaction for ${titles}: ${symbol} from ${formatDateTime(checkpoints[0].at)} to ${formatDateTime(last.at)}`);
+
+    return scheduleAlertJob({
+        id,
+        type: 'market-reaction',
+        fireAt: new Date(next.at),
+        expiresAt: new Date(new Date(last.at).getTime() + REPORT_TTL_MS),
+        label: `market reaction ${symbol} "${titles}"`,
+        payload: { events, symbol, checkpoints, snapshots },
+        target: TARGET,
+        onFire: () => takeSnapshots(id),
+    });
+}
+
+/**
+ * Bring the reaction reports in line with the scheduled events
+ * High-impact events (of every subscription) get one report per release group;
+ * reports of events that are no longer listed are cancelled.
+ * @param {Array} events - Scheduled events of all subscriptions (duplicates allowed)
+ * @param {Function} getLeadMinutes - (event) => lead times of its pre-event alerts
+ */
+function syncMarketReactions(events, getLeadMinutes) {
+    const enabled = enabledOverride === null ? config.marketReaction.enabled : enabledOverride;
+    if (!enabled) return;
+
+    const unique = new Map();
+    events
+        .filter((event) => event.impact === 'High')
+        .forEach((event) => unique.set(`${event.country}|${event.title}|${new Date(event.date).toISOString()}`, event));
+
+    const wanted = new Map();
+    groupReleases([...unique.values()], config.preEvent.groupWindowMinutes).forEach((group) => {
+        const id = `reaction:${group.map((e) => `${e.country}|${e.title}|${new Date(e.date).toISOString()}`).join('+')}`;
+        wanted.set(id, group);
+    });
+
+    trackedReports.forEach((task, id) => {
+        if (wanted.has(id)) return;
+        if (task) task.stop();
+        cancelAlert(id);
+        trackedReports.delete(id);
+    });
+
+    wanted.forEach((group, id) => {
+        if (trackedReports.has(id)) return;
+        trackedReports.set(id, scheduleReport(id, group, getLeadMinutes));
+    });
+}
+
+module.exports = { syncMarketReactions, setMarketReactionsEnabled };
@@ -0,0 +1,144 @@
+/**
+ * Service: Render Telegram HTML messages safely
+ *
+ * - escapeHtml: every piece of dynamic content (titles, figures, config values)
+ *   must go through it before being placed in an HTML parse mode message.
+ * - renderMessage: turns a message layout into one or more messages under
+ *   Telegram's 4096-character limit, splitting between blocks (events) and
+ *   numbering the parts "(1/3)", "(2/3)", ...
+ * - splitHtml: last-resort splitter for a single oversized text; it never cuts
+ *   inside a tag or entity and closes/reopens tags across parts.
+ *
+ * A message layout is:
+ *   {
+ *     title:  first line (HTML), numbered when the message is split,
+ *     intro:  text repeated at the top of every part (e.g. a separator),
+ *     blocks: list of self-contained HTML blocks (one per event),
+ *     footer: text appended to the last part only,
+ *   }
+ */
+
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+// Room kept on the title line for " (12/34)"
+const PART_LABEL_RESERVE = 10;
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+};
+
+/**
+ * Escape text for Telegram HTML parse mode
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).replace(/[&<>"]/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Split HTML into chunks of at most `limit` characters
+ * Breaks at the last newline when possible, never inside a tag or entity,
+ * and closes open tags at the end of a chunk / reopens them in the next one.
+ * @param {string} html
+ * @param {number} [limit]
+ * @returns {Array<string>}
+ */
+function splitHtml(html, limit = TELEGRAM_MESSAGE_LIMIT) {
+    if (html.length <= limit) return [html];
+
+    const tokens = html.match(/<[^>]*>|&[#\w]+;|[\s\S]/g) || [];
+    const chunks = [];
+
+    let current = '';
+    let stack = []; // open tags: { name, tag }
+    let lastBreak = null; // { pos, stack } right after the last newline
+
+    const closeTags = (tags) => [...tags].reverse().map((t) => `</${t.name}>`).join('');
+    const openTags = (tags) => tags.map((t) => t.tag).join('');
+    const hasText = (chunk) => chunk.replace(/<[^>]*>/g, '').trim() !== '';
+
+    // Tag stack after appending a token
+    const nextStack = (tags, token) => {
+        const tagMatch = token.match(/^<(\/?)([a-zA-Z0-9-]+)/);
+        if (!tagMatch) return tags;
+
+        const [, closing, name] = tagMatch;
+        if (closing) {
+            const index = tags.map((t) => t.name).lastIndexOf(name);
+            return index === -1 ? tags : tags.slice(0, index);
+        }
+        return token.endsWith('/>') ? tags : [...tags, { name, tag: token }];
+    };
+
+    const pushChunk = (chunk) => {
+        if (hasText(chunk)) chunks.push(chunk);
+    };
+
+    tokens.forEach((token) => {
+        let newStack = nextStack(stack, token);
+
+        if (current.length + token.length + closeTags(newStack).length > limit) {
+            if (lastBreak && hasText(current.slice(0, lastBreak.pos))) {
+                pushChunk(current.slice(0, lastBreak.pos) + closeTags(lastBreak.stack));
+                current = openTags(lastBreak.stack) + current.slice(lastBreak.pos);
+            } else {
+                pushChunk(current + closeTags(stack));
+                current = openTags(stack);
+            }
+            lastBreak = null;
+            newStack = nextStack(stack, token);
+        }
+
+        current += token;
+        stack = newStack;
+
+        if (token === '\n') {
+            lastBreak = { pos: current.length, stack };
+        }
+    });
+
+    pushChunk(current);
+    return chunks;
+}
+
+/**
+ * Render a message layout into one or more Telegram messages
+ * @param {object} layout - { title, intro, blocks, footer }
+ * @param {number} [limit] - Maximum characters per message
+ * @returns {Array<string>} Messages to send, in order
+ */
+function renderMessage({ title = '', intro = '', blocks = [], footer = '' }, limit = TELEGRAM_MESSAGE_LIMIT) {
+    const single = `${title}\n${intro}${blocks.join('')}${footer}`;
+    if (single.length <= limit) return [single];
+
+    // Pack blocks into parts, leaving room for the title, part label and footer
+    const headLength = title.length + PART_LABEL_RESERVE + 1 + intro.length;
+    const budget = limit - headLength - footer.length;
+
+    const parts = [];
+    let current = '';
+    blocks.forEach((block) => {
+        const pieces = block.length > budget ? splitHtml(block, budget) : [block];
+        pieces.forEach((piece) => {
+            if (current && current.length + piece.length > budget) {
+                parts.push(current);
+                current = '';
+            }
+            current += piece;
+        });
+    });
+    if (current || parts.length === 0) parts.push(current);
+
+    return parts.map((body, index) => {
+        const label = parts.length > 1 ? ` (${index + 1}/${parts.length})` : '';
+        const tail = index === parts.length - 1 ? footer : '';
+        return `${title}${label}\n${intro}${body}${tail}`;
+    });
+}
+
+module.exports = { TELEGRAM_MESSAGE_LIMIT, escapeHtml, splitHtml, renderMessage };
@@ -0,0 +1,295 @@
+/**
+ * Service: Prometheus metrics
+ *
+ * Minimal counters, gauges and histograms rendered in the Prometheus text
+ * exposition format (served by the admin API at GET /metrics).
+ *
+ * Exported metrics:
+ *   news_alert_calendar_fetches_total{outcome}         - fetchCalendar runs (success|failure)
+ *   news_alert_calendar_source_fetches_total{source,outcome}
+ *   news_alert_telegram_sends_total{outcome,topic}     - sendMessage calls (success|failure|stale)
+ *   news_alert_jobs_scheduled_total{type}              - alerts scheduled (daily|pre-event|scheduler)
+ *   news_alert_pending_jobs{type}                      - pending alerts in the store
+ *   news_alert_seconds_since_last_fetch                - +Inf until the first successful fetch
+ *   news_alert_outbox_queue_size                       - messages waiting in the outbox
+ *   news_alert_delivery_lateness_seconds{type}         - actual send time minus intended alert time
+ */
+const { listAlerts } = require('./alertStore.service');
+const { getQueueSize } = require('./outbox.service');
+const clock = require('../utils/clock');
+
+const PREFIX = 'news_alert_';
+
+// Lateness buckets (seconds): on time, a few seconds of pacing/retries, ..., a catch-up after a restart
+const LATENESS_BUCKETS = [1, 5, 15, 30, 60, 300, 900, 3600];
+
+const registry = [];
+let lastSuccessfulFetchAt = null;
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as {a="1",b="2"} (empty string when there are no labels)
+ * @param {object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const pairs = Object.keys(labels).map((name) => `${name}="${escapeLabelValue(labels[name])}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value (Prometheus spells infinities +Inf / -Inf)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Register a metric with series keyed by their label values
+ * @param {string} type - counter | gauge | histogram
+ * @param {string} name - Name without the prefix
+ * @param {string} help
+ * @param {Array<string>} labelNames
+ * @returns {object} Metric
+ */
+function registerMetric(type, name, help, labelNames) {
+    const metric = { type, name: PREFIX + name, help, labelNames, series: new Map() };
+    registry.push(metric);
+    return metric;
+}
+
+/**
+ * Get (or create) the series of a metric for a label set
+ * @param {object} metric
+ * @param {object} labels
+ * @param {Function} init - Creates the initial series value
+ * @returns {object} Series { labels, value }
+ */
+function getSeries(metric, labels, init) {
+    const picked = {};
+    metric.labelNames.forEach((name) => {
+        picked[name] = labels[name] === undefined || labels[name] === null ? '' : labels[name];
+    });
+
+    const key = JSON.stringify(picked);
+    if (!metric.series.has(key)) {
+        metric.series.set(key, { labels: picked, value: init() });
+    }
+    return metric.series.get(key);
+}
+
+/**
+ * Create a counter
+ * @param {string} name
+ * @param {string} help
+ * @param {Array<string>} [labelNames]
+ * @returns {{ inc: Function }}
+ */
+function createCounter(name, help, labelNames = []) {
+    const metric = registerMetric('counter', name, help, labelNames);
+    return {
+        inc(labels = {}, amount = 1) {
+            getSeries(metric, labels, () => 0).value += amount;
+        },
+    };
+}
+
+/**
+ * Create a gauge
+ * @param {string} name
+ * @param {string} help
+ * @param {Array<string>} [labelNames]
+ * @param {Function} [collect] - Called before rendering to refresh the values (receives the gauge)
+ * @returns {{ set: Function, reset: Function }}
+ */
+function createGauge(name, help, labelNames = [], collect = null) {
+    const metric = registerMetric('gauge', name, help, labelNames);
+    const gauge = {
+        set(labels, value) {
+            getSeries(metric, labels, () => 0).value = value;
+        },
+        reset() {
+            metric.series.clear();
+        },
+    };
+    metric.collect = collect && (() => collect(gauge));
+    return gauge;
+}
+
+/**
+ * Create a histogram
+ * @param {string} name
+ * @param {string} help
+ * @param {Array<number>} buckets - Upper bounds, ascending
+ * @param {Array<string>} [labelNames]
+ * @returns {{ observe: Function }}
+ */
+function createHistogram(name, help, buckets, labelNames = []) {
+    const metric = registerMetric('histogram', name, help, labelNames);
+    metric.buckets = buckets;
+    return {
+        observe(labels, value) {
+            const series = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+            buckets.forEach((bound, index) => {
+                if (value <= bound) series.value.counts[index] += 1;
+            });
+            series.value.sum += value;
+            series.value.count += 1;
+        },
+    };
+}
+
+/*
+ * Application metrics
+ */
+
+const calendarFetches = createCounter('calendar_fetches_total', 'Calendar fetches by outcome', ['outcome']);
+
+const calendarSourceFetches = createCounter(
+    'calendar_source_fetches_total',
+    'Calendar source fetches by source and outcome',
+    ['source', 'outcome']
+);
+
+const telegramSends = createCounter('telegram_sends_total', 'Telegram messages by outcome and topic', [
+    'outcome',
+    'topic',
+]);
+
+const jobsScheduled = createCounter('jobs_scheduled_total', 'Alert jobs scheduled by type', ['type']);
+
+const alertsSuppressed = createCounter('alerts_suppressed_total', 'Alerts held back by quiet periods by type and reason', [
+    'type',
+    'reason',
+]);
+
+createGauge('pending_jobs', 'Pending alert jobs by type', ['type'], (gauge) => {
+    // The main job types are always exported, so a drop to zero shows as 0 rather than a missing series
+    const counts = { daily: 0, 'pre-event': 0, scheduler: 0 };
+    const now = new Date();
+    listAlerts({ status: 'pending' })
+        .filter((record) => new Date(record.expiresAt || record.fireAt) > now)
+        .forEach((record) => {
+            counts[record.type] = (counts[record.type] || 0) + 1;
+        });
+
+    gauge.reset();
+    Object.entries(counts).forEach(([type, count]) => gauge.set({ type }, count));
+});
+
+createGauge('seconds_since_last_fetch', 'Seconds since the last successful calendar fetch', [], (gauge) => {
+    gauge.set({}, lastSuccessfulFetchAt ? (Date.now() - lastSuccessfulFetchAt.getTime()) / 1000 : Infinity);
+});
+
+createGauge('outbox_queue_size', 'Messages waiting in the outbox', [], (gauge) => {
+    gauge.set({}, getQueueSize());
+});
+
+const deliveryLateness = createHistogram(
+    'delivery_lateness_seconds',
+    'Actual send time minus intended alert time',
+    LATENESS_BUCKETS,
+    ['type']
+);
+
+/**
+ * Record the outcome of a calendar fetch
+ * @param {boolean} success
+ * @param {Array<{source: string, ok: boolean}>} [sources] - Outcome of each source
+ */
+function recordCalendarFetch(success, sources = []) {
+    calendarFetches.inc({ outcome: success ? 'success' : 'failure' });
+    sources.forEach(({ source, ok }) => calendarSourceFetches.inc({ source, outcome: ok ? 'success' : 'failure' }));
+    if (success) {
+        lastSuccessfulFetchAt = new Date();
+    }
+}
+
+/**
+ * Record a Telegram send
+ * @param {string} outcome - success | failure | stale
+ * @param {string|number|null} topicId
+ */
+function recordTelegramSend(outcome, topicId) {
+    telegramSends.inc({ outcome, topic: topicId || 'none' });
+}
+
+/**
+ * Record that an alert job was scheduled
+ * @param {string} type - Alert type
+ */
+function recordJobScheduled(type) {
+    jobsScheduled.inc({ type });
+}
+
+/**
+ * Record that an alert was held back by a suppression window
+ * @param {string} type - Alert type
+ * @param {string} reason - "quiet-hours", "holiday" or "mute"
+ */
+function recordAlertSuppressed(type, reason) {
+    alertsSuppressed.inc({ type, reason });
+}
+
+/**
+ * Record how late an alert was delivered
+ * @param {string} type - Alert type
+ * @param {Date|string} intendedAt - When the alert was meant to fire
+ * @param {Date} [sentAt]
+ */
+function recordDeliveryLateness(type, intendedAt, sentAt = clock.now()) {
+    const lateness = Math.max(0, (sentAt - new Date(intendedAt)) / 1000);
+    deliveryLateness.observe({ type }, lateness);
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ * @returns {string}
+ */
+function renderMetrics() {
+    const lines = [];
+
+    registry.forEach((metric) => {
+        if (metric.collect) metric.collect();
+
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+        metric.series.forEach(({ labels, value }) => {
+            if (metric.type !== 'histogram') {
+                lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+                return;
+            }
+
+            metric.buckets.forEach((bound, index) => {
+                lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${metric.name}_sum${formatLabels(labels)} ${value.sum}`);
+            lines.push(`${metric.name}_count${formatLabels(labels)} ${value.count}`);
+        });
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    recordCalendarFetch,
+    recordTelegramSend,
+    recordJobScheduled,
+    recordAlertSuppressed,
+    recordDeliveryLateness,
+    renderMetrics,
+};
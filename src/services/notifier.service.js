@@ -0,0 +1,181 @@
+/**
+ * Service: Dispatch alerts to the configured notifiers
+ *
+ * Alerts are described once (see notifiers/formatters/alertContent.js) and
+ * every notifier renders them in its own format:
+ *   - telegram: group topics (HTML)
+ *   - discord:  webhook embeds
+ *   - slack:    incoming webhook blocks
+ *   - webhook:  generic JSON POST
+ *   - email:    SMTP
+ *
+ * Each alert belongs to a channel ("news" or "scheduler") and NEWS_NOTIFIERS /
+ * SCHEDULER_NOTIFIERS choose which notifiers receive it. News alerts of a
+ * subscription carry a destination that overrides the notifiers and the
+ * Telegram chat/topic (see subscription.service.js); scheduler alerts do the
+ * same per scheduler definition (see schedulerDefinitions.service.js).
+ */
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'notifier' });
+const { createTelegramNotifier } = require('../notifiers/telegram.notifier');
+const { createDiscordNotifier } = require('../notifiers/discord.notifier');
+const { createSlackNotifier } = require('../notifiers/slack.notifier');
+const { createWebhookNotifier } = require('../notifiers/webhook.notifier');
+const { createEmailNotifier } = require('../notifiers/email.notifier');
+const { getRecentResults } = require('./eventHistory.service');
+
+const notifiers = new Map();
+
+/**
+ * Build the notifier for a configured name
+ * @param {string} name
+ * @returns {{ name: string, send: Function }}
+ */
+function createNotifier(name) {
+    const { telegram, notifiers: options } = config;
+
+    switch (name) {
+        case 'telegram':
+            return createTelegramNotifier({
+                chatId: telegram.groupId,
+                topics: { news: telegram.newsTopicId, scheduler: telegram.btcTopicId },
+            });
+        case 'discord':
+            return createDiscordNotifier({ webhookUrls: options.discord });
+        case 'slack':
+            return createSlackNotifier({ webhookUrls: options.slack });
+        case 'webhook':
+            return createWebhookNotifier(options.webhook);
+        case 'email':
+            return createEmailNotifier({
+                smtp: options.email.smtp,
+                from: options.email.from,
+                recipients: options.email.to,
+            });
+        default:
+            throw new Error(`Unknown notifier: ${name}`);
+    }
+}
+
+/**
+ * Get a notifier by name, creating it on first use
+ * @param {string} name
+ * @returns {{ name: string, send: Function }}
+ */
+function getNotifier(name) {
+    if (!notifiers.has(name)) {
+        notifiers.set(name, createNotifier(name));
+    }
+    return notifiers.get(name);
+}
+
+/**
+ * Send an alert to every notifier configured for its channel
+ * Fails only when no notifier could deliver it, so one broken integration
+ * does not cause duplicates on the others.
+ * @param {string} channel - "news" or "scheduler"
+ * @param {object} alert - See notifiers/formatters/alertContent.js
+ * @param {object} [destination] - { notifiers, chatId, topicId } overriding the channel defaults
+ */
+async function notify(channel, alert, destination = {}) {
+    const names = destination.notifiers || config.notifiers[channel];
+
+    const results = await Promise.allSettled(
+        names.map(async (name) => getNotifier(name).send(alert, channel, destination))
+    );
+
+    const failures = [];
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            logger.error(`Notifier ${names[index]} failed to send ${alert.type} alert:`, result.reason.message, {
+                event: 'notifier.failed',
+                notifier: names[index],
+                alertType: alert.type,
+            });
+            failures.push(result.reason);
+        }
+    });
+
+    if (failures.length === names.length) {
+        throw failures[0] || new Error(`No notifiers configured for ${channel} alerts`);
+    }
+}
+
+/**
+ * Send the daily news digest
+ * Long digests are split by each notifier into several messages.
+ * @param {Array} events - Filtered events
+ * @param {string} dateLabel - The date label for the alert (e.g., "11/02/2026")
+ * @param {object} [destination] - Subscription destination (see notify)
+ */
+async function sendNewsAlert(events, dateLabel, destination) {
+    // The digest is pointless once the last event of the day has been released
+    const lastEventTime = Math.max(...events.map((e) => new Date(e.date).getTime()));
+
+    await notify('news', { type: 'news-digest', events, dateLabel, expiresAt: new Date(lastEventTime) }, destination);
+}
+
+/**
+ * Send a heads-up for upcoming events released together (one per configured lead time)
+ * Each event comes with the last results of its indicator (see eventHistory.service.js).
+ * @param {Array} events - Events of the release group, sorted by time
+ * @param {object} [destination] - Subscription destination (see notify)
+ */
+async function sendPreEventAlert(events, destination) {
+    const withHistory = events.map((event) => ({ ...event, history: getRecentResults(event) }));
+
+    // A warning that arrives after the (first) release is useless
+    await notify('news', { type: 'pre-event', events: withHistory, expiresAt: new Date(events[0].date) }, destination);
+}
+
+/**
+ * Send the post-release result of an event (Actual vs Forecast)
+ * @param {object} event - Released event (with `actual` filled in)
+ * @param {string|null} verdict - "beat", "miss", "in-line" or null if not comparable
+ * @param {object} [destination] - Subscription destination (see notify)
+ */
+async function sendOutcomeAlert(event, verdict, destination) {
+    await notify('news', { type: 'outcome', event, verdict }, destination);
+}
+
+/**
+ * Send a short notice about calendar changes found by a refresh
+ * @param {object} changes
+ * @param {Array} changes.added - New events
+ * @param {Array} changes.removed - Cancelled events
+ * @param {Array<{ before: object, after: object }>} changes.moved - Rescheduled events
+ * @param {object} [destination] - Subscription destination (see notify)
+ */
+async function sendScheduleChangeNotice({ added, removed, moved }, destination) {
+    await notify('news', { type: 'schedule-change', added, removed, moved }, destination);
+}
+
+/**
+ * Send the market reaction report of high-impact events (to the scheduler channel: the BTC topic)
+ * @param {object} reaction - { events, symbol, base, moves, high, low, rangePct } (see marketReaction.service.js)
+ * @param {object} [destination] - Destination override (see notify)
+ */
+async function sendMarketReactionAlert(reaction, destination) {
+    await notify('scheduler', { type: 'market-reaction', ...reaction }, destination);
+}
+
+/**
+ * Send the alert for a custom scheduler slot
+ * @param {Date} date - Slot time
+ * @param {string} name - Scheduler name
+ * @param {string} level - Volatility level label
+ * @param {object} [destination] - Scheduler destination (see notify)
+ */
+async function sendSchedulerAlert(date, name, level, destination) {
+    await notify('scheduler', { type: 'scheduler-slot', date: date.toISOString(), name, level, expiresAt: date }, destination);
+}
+
+module.exports = {
+    notify,
+    sendNewsAlert,
+    sendPreEventAlert,
+    sendOutcomeAlert,
+    sendScheduleChangeNotice,
+    sendSchedulerAlert,
+    sendMarketReactionAlert,
+};
@@ -0,0 +1,275 @@
+/**
+ * Service: Outbox queue for outgoing messages
+ *
+ * Every message goes through a per-chat FIFO queue that:
+ *   - paces sends to stay under the per-chat rate limit,
+ *   - retries transient failures (network errors, 5xx, 429) with exponential backoff,
+ *   - honors `retry_after` on 429 responses,
+ *   - drops messages that became stale (past `expiresAt`) before they could be sent,
+ *   - moves messages that fail permanently into a persisted dead-letter list.
+ *
+ * A retrying message blocks its chat's queue, which keeps message order intact
+ * and respects chat-level rate limits.
+ *
+ * Queue keys are logged and persisted with dead letters: they must not contain
+ * secrets such as webhook URLs (see getEndpointKey).
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'outbox' });
+
+// Keep the dead-letter file from growing without bound
+const MAX_DEAD_LETTERS = 500;
+
+const queues = new Map();
+let deadLetters = null;
+let lastSentAt = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Load dead letters from disk (once)
+ * @returns {Array<object>}
+ */
+function loadDeadLetters() {
+    if (deadLetters) return deadLetters;
+
+    const filePath = path.resolve(config.outbox.deadLetterFile);
+    deadLetters = [];
+
+    if (fs.existsSync(filePath)) {
+        try {
+            deadLetters = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            logger.error(`Failed to read dead-letter file ${filePath}: ${error.message}`);
+        }
+    }
+    return deadLetters;
+}
+
+/**
+ * Record a message that will not be delivered
+ * @param {object} item - Queue item
+ * @param {string} reason - Why it was given up
+ */
+function addDeadLetter(item, reason) {
+    const list = loadDeadLetters();
+
+    list.push({
+        label: item.label,
+        chatKey: item.chatKey,
+        payload: item.payload,
+        reason,
+        attempts: item.attempts,
+        enqueuedAt: item.enqueuedAt.toISOString(),
+        failedAt: new Date().toISOString(),
+    });
+    list.splice(0, Math.max(0, list.length - MAX_DEAD_LETTERS));
+
+    try {
+        const filePath = path.resolve(config.outbox.deadLetterFile);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(list, null, 2));
+    } catch (error) {
+        logger.error(`Failed to write dead-letter file: ${error.message}`);
+    }
+}
+
+/**
+ * Read the retry delay requested by the server, if any
+ * Telegram: body.parameters.retry_after (s); Discord: body.retry_after (s); others: Retry-After header (s)
+ * @param {Error} error - axios error
+ * @returns {number|null} Delay in ms
+ */
+function getRetryAfterMs(error) {
+    const response = error.response;
+    if (!response) return null;
+
+    const body = response.data || {};
+    const seconds =
+        (body.parameters && body.parameters.retry_after) ||
+        body.retry_after ||
+        (response.headers && parseFloat(response.headers['retry-after']));
+
+    return seconds ? Math.ceil(seconds * 1000) : null;
+}
+
+/**
+ * Decide whether a failed send is worth retrying
+ * @param {Error} error - axios or nodemailer error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    // SMTP: 4xx replies are temporary, 5xx permanent
+    if (error.responseCode) return error.responseCode < 500;
+
+    // No response: network error or timeout
+    if (!error.response) return true;
+
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Describe a failed send for logs and dead letters
+ * @param {Error} error
+ * @returns {string}
+ */
+function describeError(error) {
+    const body = error.response && error.response.data;
+    if (body && (body.description || body.message)) {
+        // Telegram: description; Discord: message
+        return `${error.response.status} ${body.description || body.message}`;
+    }
+    if (typeof body === 'string' && body) {
+        // Slack answers with plain text (e.g. "invalid_payload")
+        return `${error.response.status} ${body}`;
+    }
+    return error.message;
+}
+
+/**
+ * Process a chat's queue until it is empty
+ * @param {object} queue
+ */
+async function drain(queue) {
+    if (queue.running) return;
+    queue.running = true;
+
+    const { chatIntervalMs, maxAttempts, retryBaseMs, retryMaxMs } = config.outbox;
+
+    try {
+        while (queue.items.length > 0) {
+            const item = queue.items[0];
+
+            if (item.expiresAt && Date.now() > item.expiresAt.getTime()) {
+                queue.items.shift();
+                logger.warn(`Outbox: dropping stale message "${item.label}" (expired ${item.expiresAt.toISOString()})`, {
+                    event: 'outbox.stale',
+                    chatKey: item.chatKey,
+                });
+                addDeadLetter(item, 'stale');
+                const staleError = new Error(`Message "${item.label}" expired before it could be sent`);
+                staleError.code = 'STALE';
+                item.reject(staleError);
+                continue;
+            }
+
+            const wait = queue.lastSentAt + chatIntervalMs - Date.now();
+            if (wait > 0) {
+                await sleep(wait);
+            }
+
+            item.attempts += 1;
+
+            try {
+                const result = await item.deliver();
+                queue.lastSentAt = Date.now();
+                lastSentAt = new Date(queue.lastSentAt);
+                queue.items.shift();
+                item.resolve(result);
+            } catch (error) {
+                queue.lastSentAt = Date.now();
+                const reason = describeError(error);
+
+                if (!isRetryable(error) || item.attempts >= maxAttempts) {
+                    queue.items.shift();
+                    logger.error(`Outbox: giving up on "${item.label}" after ${item.attempts} attempt(s): ${reason}`, {
+                        event: 'outbox.dead_letter',
+                        chatKey: item.chatKey,
+                    });
+                    addDeadLetter(item, reason);
+                    item.reject(error);
+                    continue;
+                }
+
+                const delay =
+                    getRetryAfterMs(error) || Math.min(retryBaseMs * 2 ** (item.attempts - 1), retryMaxMs);
+                logger.warn(
+                    `Outbox: "${item.label}" failed (${reason}), retry ${item.attempts}/${maxAttempts - 1} in ${delay} ms`,
+                    { event: 'outbox.retry', chatKey: item.chatKey, attempt: item.attempts, delayMs: delay }
+                );
+                await sleep(delay);
+            }
+        }
+    } finally {
+        queue.running = false;
+    }
+}
+
+/**
+ * Queue a message for delivery
+ *
+ * @param {object} message
+ * @param {string} message.chatKey - Rate-limit bucket (usually the chat id); logged, never a secret
+ * @param {Function} message.deliver - Async function that performs the actual API call
+ * @param {string} [message.label] - Description for logs
+ * @param {object} [message.payload] - Request body, kept for dead-letter inspection
+ * @param {Date} [message.expiresAt] - Drop the message if it cannot be sent before this time
+ * @returns {Promise<object>} Result of `deliver`; rejects if the message is dropped
+ */
+function enqueueMessage({ chatKey, deliver, label = 'message', payload = null, expiresAt = null }) {
+    if (!queues.has(chatKey)) {
+        queues.set(chatKey, { items: [], running: false, lastSentAt: 0 });
+    }
+    const queue = queues.get(chatKey);
+
+    return new Promise((resolve, reject) => {
+        queue.items.push({
+            chatKey,
+            deliver,
+            label,
+            payload,
+            expiresAt,
+            attempts: 0,
+            enqueuedAt: new Date(),
+            resolve,
+            reject,
+        });
+        drain(queue);
+    });
+}
+
+/**
+ * Queue key of an endpoint whose URL is a credential (e.g. a Discord webhook)
+ * The URL is replaced by a short hash so it never reaches logs or dead letters.
+ * @param {string} prefix - Notifier name, e.g. "discord"
+ * @param {string} url
+ * @returns {string} e.g. "discord:3f2a9c1b7e04"
+ */
+function getEndpointKey(prefix, url) {
+    const hash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 12);
+    return `${prefix}:${hash}`;
+}
+
+/**
+ * Get messages that were given up on (most recent last)
+ * @returns {Array<object>}
+ */
+function getDeadLetters() {
+    return [...loadDeadLetters()];
+}
+
+/**
+ * Number of messages waiting in all queues
+ * @returns {number}
+ */
+function getQueueSize() {
+    let size = 0;
+    queues.forEach((queue) => {
+        size += queue.items.length;
+    });
+    return size;
+}
+
+/**
+ * Time of the last message delivered by any queue
+ * @returns {Date|null}
+ */
+function getLastSentAt() {
+    return lastSentAt;
+}
+
+module.exports = { enqueueMessage, getEndpointKey, getDeadLetters, getQueueSize, getLastSentAt };
@@ -0,0 +1,81 @@
+/**
+ * Service: Pinned messages that replace each other
+ *
+ * Some messages own a pin "slot" (e.g. the weekly outlook of a topic): pinning
+ * a new message in the slot unpins the previous one. The message pinned in
+ * each slot is kept in PINNED_MESSAGES_FILE so the replacement survives restarts.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'pinnedMessages' });
+const clock = require('../utils/clock');
+const { pinChatMessage, unpinChatMessage } = require('./telegram.service');
+
+/**
+ * Read the pinned message of every slot
+ * @returns {object} Map of slot → { chatId, messageId, pinnedAt }
+ */
+function readPins() {
+    const filePath = path.resolve(config.outlook.pinsFile);
+    if (!fs.existsSync(filePath)) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')).pins || {};
+    } catch (error) {
+        logger.error(`Failed to read pinned messages file ${filePath}: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Write the pinned messages file
+ * @param {object} pins
+ */
+function writePins(pins) {
+    const filePath = path.resolve(config.outlook.pinsFile);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, `${JSON.stringify({ pins }, null, 2)}\n`);
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Pin a message in its slot, unpinning the message pinned there before
+ * Failures are logged, not thrown: the message itself was delivered.
+ * @param {string} slot - e.g. "weekly-outlook:<chatId>:<topicId>"
+ * @param {string|number} chatId
+ * @param {number} messageId
+ * @returns {Promise<boolean>} true if the message was pinned
+ */
+async function replacePinnedMessage(slot, chatId, messageId) {
+    const pins = readPins();
+    const previous = pins[slot];
+
+    try {
+        await pinChatMessage(chatId, messageId);
+    } catch (error) {
+        logger.error(`Failed to pin message ${messageId} in chat ${chatId}:`, error.message, {
+            event: 'pin.failed',
+            slot,
+        });
+        return false;
+    }
+
+    pins[slot] = { chatId, messageId, pinnedAt: clock.now().toISOString() };
+    writePins(pins);
+    logger.info(`📌 Message ${messageId} pinned in chat ${chatId} (${slot})`, { event: 'pin.replaced', slot });
+
+    if (previous && previous.messageId !== messageId) {
+        try {
+            await unpinChatMessage(previous.chatId, previous.messageId);
+        } catch (error) {
+            // Already unpinned or deleted by hand
+            logger.warn(`Could not unpin previous message ${previous.messageId} (${slot}): ${error.message}`);
+        }
+    }
+    return true;
+}
+
+module.exports = { replacePinnedMessage };
@@ -0,0 +1,110 @@
+/**
+ * Price source: Binance-style REST API (/api/v3/ticker/price and /api/v3/klines)
+ *
+ * Works with Binance and the exchanges that copy its public market data API.
+ * Past prices come from 1-minute candles, so a snapshot taken late (e.g. after
+ * a restart) still reflects the time it was meant for.
+ */
+const axios = require('axios');
+const clock = require('../../utils/clock');
+
+const MINUTE_MS = 60 * 1000;
+
+// Max candles returned by one klines request
+const KLINES_LIMIT = 1000;
+
+/**
+ * Create a source that reads prices from a Binance-style REST API
+ * @param {object} options
+ * @param {string} options.name - Source name used in logs
+ * @param {string} options.baseUrl - API root, e.g. "https://api.binance.com"
+ * @returns {{ name: string, getPrice: Function, getRange: Function }}
+ */
+function createBinanceRestPriceSource({ name, baseUrl }) {
+    const http = axios.create({ baseURL: baseUrl, timeout: 10000 });
+
+    /**
+     * 1-minute candles between two times
+     * @param {string} symbol
+     * @param {number} startTime - ms
+     * @param {number} [endTime] - ms
+     * @param {number} [limit] - Max candles
+     * @returns {Promise<Array<{ time: number, open: number, high: number, low: number, close: number }>>}
+     */
+    async function getCandles(symbol, startTime, endTime, limit = KLINES_LIMIT) {
+        const params = { symbol, interval: '1m', startTime, limit };
+        if (endTime !== undefined) params.endTime = endTime;
+
+        const response = await http.get('/api/v3/klines', { params });
+        if (!Array.isArray(response.data)) {
+            throw new Error(`${name}: expected a JSON array of klines for ${symbol}`);
+        }
+
+        return response.data.map(([time, open, high, low, close]) => ({
+            time,
+            open: parseFloat(open),
+            high: parseFloat(high),
+            low: parseFloat(low),
+            close: parseFloat(close),
+        }));
+    }
+
+    return {
+        name,
+
+        /**
+         * Price at a time: the live ticker for the current minute, else the open of the candle starting then
+         * @param {string} symbol - e.g. "BTCUSDT"
+         * @param {Date} at
+         * @returns {Promise<number>}
+         */
+        async getPrice(symbol, at) {
+            if (clock.nowMs() - at.getTime() < MINUTE_MS) {
+                const response = await http.get('/api/v3/ticker/price', { params: { symbol } });
+                const price = parseFloat(response.data && response.data.price);
+                if (Number.isNaN(price)) {
+                    throw new Error(`${name}: no price for ${symbol}`);
+                }
+                return price;
+            }
+
+            const [candle] = await getCandles(symbol, at.getTime(), undefined, 1);
+            if (!candle) {
+                throw new Error(`${name}: no candle for ${symbol} at ${at.toISOString()}`);
+            }
+            return candle.open;
+        },
+
+        /**
+         * Highest and lowest price between two times (1-minute candles)
+         * Windows longer than one klines request are read page by page.
+         * @param {string} symbol
+         * @param {Date} from
+         * @param {Date} to
+         * @returns {Promise<{ high: number, low: number }>}
+         */
+        async getRange(symbol, from, to) {
+            let high = -Infinity;
+            let low = Infinity;
+            let startTime = from.getTime();
+
+            while (startTime <= to.getTime()) {
+                const candles = await getCandles(symbol, startTime, to.getTime());
+                candles.forEach((c) => {
+                    high = Math.max(high, c.high);
+                    low = Math.min(low, c.low);
+                });
+
+                if (candles.length < KLINES_LIMIT) break;
+                startTime = candles[candles.length - 1].time + MINUTE_MS;
+            }
+
+            if (high === -Infinity) {
+                throw new Error(`${name}: no candles for ${symbol} between ${from.toISOString()} and ${to.toISOString()}`);
+            }
+            return { high, low };
+        },
+    };
+}
+
+module.exports = { createBinanceRestPriceSource };
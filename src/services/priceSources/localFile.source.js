@@ -0,0 +1,83 @@
+/**
+ * Price source: local JSON file (offline testing, simulations)
+ *
+ * The file is an array of price points, in any order:
+ *   [{ "time": "2026-11-03T13:15:00Z", "price": 68250.1 }, ...]
+ * The price at a time is the last point at or before it; the symbol is ignored.
+ * The file is read on every call, so it can be edited while the bot runs.
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a source that reads prices from a local file
+ * @param {object} options
+ * @param {string} options.name - Source name used in logs
+ * @param {string} options.file - Path to a .json file
+ * @returns {{ name: string, getPrice: Function, getRange: Function }}
+ */
+function createLocalFilePriceSource({ name, file }) {
+    /**
+     * Read the price points, sorted by time
+     * @returns {Promise<Array<{ time: number, price: number }>>}
+     */
+    async function readPoints() {
+        const filePath = path.resolve(file);
+        const raw = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        if (!Array.isArray(raw)) {
+            throw new Error(`${name}: expected a JSON array in ${filePath}`);
+        }
+
+        return raw
+            .map((point) => ({ time: new Date(point.time).getTime(), price: Number(point.price) }))
+            .filter((point) => !Number.isNaN(point.time) && !Number.isNaN(point.price))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Price at a time from sorted points
+     * @param {Array} points
+     * @param {number} at - ms
+     * @returns {number}
+     */
+    function priceAt(points, at) {
+        const before = points.filter((point) => point.time <= at);
+        if (before.length === 0) {
+            throw new Error(`${name}: no price at or before ${new Date(at).toISOString()}`);
+        }
+        return before[before.length - 1].price;
+    }
+
+    return {
+        name,
+
+        /**
+         * Price at a time
+         * @param {string} symbol - Ignored
+         * @param {Date} at
+         * @returns {Promise<number>}
+         */
+        async getPrice(symbol, at) {
+            return priceAt(await readPoints(), at.getTime());
+        },
+
+        /**
+         * Highest and lowest price between two times
+         * @param {string} symbol - Ignored
+         * @param {Date} from
+         * @param {Date} to
+         * @returns {Promise<{ high: number, low: number }>}
+         */
+        async getRange(symbol, from, to) {
+            const points = await readPoints();
+            const prices = [
+                priceAt(points, from.getTime()),
+                ...points.filter((p) => p.time > from.getTime() && p.time <= to.getTime()).map((p) => p.price),
+            ];
+
+            return { high: Math.max(...prices), low: Math.min(...prices) };
+        },
+    };
+}
+
+module.exports = { createLocalFilePriceSource };
@@ -0,0 +1,34 @@
+/**
+ * Service: Group events released together
+ *
+ * Several lines often come out at the same second (CPI m/m, Core CPI m/m,
+ * CPI y/y at 08:30 ET). They get one pre-event alert and share a time header
+ * in the digests. Events within PRE_EVENT_GROUP_WINDOW_MINUTES of the first
+ * event of a group join it for the pre-event alert.
+ */
+
+/**
+ * Split events into groups released together
+ * @param {Array} events
+ * @param {number} [windowMinutes] - Max minutes between the first and the last event of a group (0 = same time only)
+ * @returns {Array<Array>} Groups sorted by time, each sorted by time
+ */
+function groupReleases(events, windowMinutes = 0) {
+    const groups = [];
+    const windowMs = windowMinutes * 60 * 1000;
+
+    [...events]
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .forEach((event) => {
+            const current = groups[groups.length - 1];
+            if (current && new Date(event.date) - new Date(current[0].date) <= windowMs) {
+                current.push(event);
+            } else {
+                groups.push([event]);
+            }
+        });
+
+    return groups;
+}
+
+module.exports = { groupReleases };
@@ -1,110 +1,118 @@
 /**
  * Service: Generate schedule timestamps based on a fixed pattern
  *
- * Pattern: +8h -> +8h -> +4h (Loop)
- * Clone rule: Each main timestamp creates a clone at +1h
+ * Pattern: list of hours between main slots, looped (default +8h -> +8h -> +4h)
+ * Clone rule: each main timestamp creates clones at the given offsets (default +1h)
+ *
+ * The pattern repeats every `period = sum(pattern)` hours from the anchor, so
+ * main slots are `anchor + n * period + offset_i` (offset_i = cumulative
+ * pattern). Occurrences in any time range are computed directly from that
+ * formula: no walking from the anchor, no cycle limit, and the result does not
+ * depend on how far in the past the anchor is.
+ *
+ * An anchor without a UTC offset ("2026-02-09T17:00:00") is a wall-clock time
+ * in the definition's timezone, never in the server's.
+ */
+const { zonedTimeToDate, getDateKey } = require('./timezone.service');
+const clock = require('../utils/clock');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Local date-time without "Z" or "+hh:mm": YYYY-MM-DDTHH:mm[:ss[.sss]]
+const LOCAL_TIME_REGEX = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/;
+
+/**
+ * Resolve the anchor to an absolute time
+ * @param {string} startTime - ISO 8601 date-time, with or without UTC offset
+ * @param {string} [timezone] - IANA timezone of an anchor without offset (defaults to SCHEDULE_TIMEZONE)
+ * @returns {number} Epoch ms
  */
+function parseAnchor(startTime, timezone) {
+    const match = LOCAL_TIME_REGEX.exec(String(startTime).trim());
+    if (!match) return new Date(startTime).getTime();
 
-// We will use vanilla JS with Intl for timezone handling
+    const [, dateKey, hour, minute, seconds = '0'] = match;
+    const wallClock = zonedTimeToDate(dateKey, Number(hour), Number(minute), timezone);
+    return wallClock.getTime() + Math.round(Number(seconds) * 1000);
+}
 
 /**
- * Check if a date is within the target month/year in the given timezone
- * @param {Date} date - Date object to check
- * @param {number} month - 0-based month index (0-11)
- * @param {number} year - Full year (e.g. 2026)
- * @param {string} timezone - Timezone string
- * @returns {boolean}
+ * Generate the slots in a time range
+ * @param {object} options
+ * @param {string} options.startTime - ISO 8601 anchor (first main slot)
+ * @param {string} [options.timezone] - IANA timezone of an anchor without UTC offset
+ * @param {Date} options.from - Range start (inclusive)
+ * @param {Date} options.to - Range end (exclusive)
+ * @param {Array<number>} [options.pattern] - Hours between main slots, looped
+ * @param {Array<number>} [options.cloneOffsets] - Hours after each main slot that get a clone slot
+ * @returns {Array<Date>} List of Date objects sorted chronologically
  */
-function isDateInMonth(date, month, year, timezone) {
-    const formatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: timezone,
-        year: 'numeric',
-        month: 'numeric',
+function generateSchedule({ startTime, timezone, from, to, pattern = [8, 8, 4], cloneOffsets = [1] }) {
+    const anchor = parseAnchor(startTime, timezone);
+    const periodMs = pattern.reduce((sum, hours) => sum + hours, 0) * HOUR_MS;
+
+    // Offsets of the main slots within one period: 0, p0, p0 + p1, ...
+    const mainOffsets = [];
+    let offset = 0;
+    pattern.forEach((hours) => {
+        mainOffsets.push(offset);
+        offset += hours * HOUR_MS;
     });
 
-    const parts = formatter.formatToParts(date);
-    const dateYear = parseInt(parts.find(p => p.type === 'year').value);
-    const dateMonth = parseInt(parts.find(p => p.type === 'month').value) - 1; // Intl returns 1-12
+    // Every slot of a period lies within [start, start + period + largest clone offset)
+    const maxCloneMs = Math.max(0, ...cloneOffsets) * HOUR_MS;
+    const firstPeriod = Math.max(0, Math.floor((from.getTime() - anchor - maxCloneMs) / periodMs));
+    const lastPeriod = Math.floor((to.getTime() - anchor) / periodMs);
+
+    const slots = new Map();
+    for (let n = firstPeriod; n <= lastPeriod; n++) {
+        const periodStart = anchor + n * periodMs;
+
+        mainOffsets.forEach((mainOffset) => {
+            const main = periodStart + mainOffset;
+            [0, ...cloneOffsets].forEach((cloneHours) => {
+                const time = main + cloneHours * HOUR_MS;
+                if (time >= from.getTime() && time < to.getTime()) {
+                    slots.set(time, new Date(time));
+                }
+            });
+        });
+    }
 
-    return dateYear === year && dateMonth === month;
+    return [...slots.values()].sort((a, b) => a - b);
 }
 
 /**
  * Generate schedule for a specific month
  * @param {object} config
  * @param {string} config.startTime - ISO 8601 start time
- * @param {string} config.timezone - Target timezone
+ * @param {string} config.timezone - Target timezone (defines the month boundaries and the anchor's wall clock)
  * @param {Date} [config.targetDate] - Date within the target month (defaults to now)
+ * @param {Array<number>} [config.pattern] - Hours between main slots, looped
+ * @param {Array<number>} [config.cloneOffsets] - Hours after each main slot that get a clone slot
  * @returns {Array<Date>} List of Date objects sorted chronologically
  */
-function generateMonthlySchedule({ startTime, timezone, targetDate = new Date() }) {
-    const start = new Date(startTime);
-
-    // Determine target month and year in the target timezone
-    const targetFormatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: timezone,
-        year: 'numeric',
-        month: 'numeric',
-    });
-
-    const targetParts = targetFormatter.formatToParts(targetDate);
-    const targetYear = parseInt(targetParts.find(p => p.type === 'year').value);
-    const targetMonth = parseInt(targetParts.find(p => p.type === 'month').value) - 1;
+function generateMonthlySchedule({ startTime, timezone, targetDate = clock.now(), pattern, cloneOffsets }) {
+    // Month boundaries in the target timezone, rolling over into the next year in December
+    const [year, month] = getDateKey(targetDate.toISOString(), timezone).split('-').map(Number);
+    const nextYear = month === 12 ? year + 1 : year;
+    const nextMonth = month === 12 ? 1 : month + 1;
 
-    // Pattern intervals in hours
-    const pattern = [8, 8, 4];
-    let patternIndex = 0;
+    const from = zonedTimeToDate(`${year}-${String(month).padStart(2, '0')}-01`, 0, 0, timezone);
+    const to = zonedTimeToDate(`${nextYear}-${String(nextMonth).padStart(2, '0')}-01`, 0, 0, timezone);
 
-    let currentDate = new Date(start.getTime());
-    const schedule = [];
-
-    // Limit loop to prevent infinite loop in case of errors (e.g. 5 years ahead)
-    const MAX_CYCLES = 10000;
-    let cycles = 0;
-
-    // We loop until we are PAST the target month
-    // Optimization: If startTime is far behind, we could mathematically jump, 
-    // but for simplicity and correctness with DST/timezone, looping is safer if within reasonable range.
-
-    while (cycles < MAX_CYCLES) {
-        // Check if current date is AFTER the target month
-        // We can check if year > targetYear or (year == targetYear and month > targetMonth)
-        const currentFormatter = new Intl.DateTimeFormat('en-US', {
-            timeZone: timezone,
-            year: 'numeric',
-            month: 'numeric',
-        });
-        const currentParts = currentFormatter.formatToParts(currentDate);
-        const currentYear = parseInt(currentParts.find(p => p.type === 'year').value);
-        const currentMonth = parseInt(currentParts.find(p => p.type === 'month').value) - 1;
-
-        if (currentYear > targetYear || (currentYear === targetYear && currentMonth > targetMonth)) {
-            break;
-        }
-
-        // If explicitly in the target month, add to schedule
-        if (currentYear === targetYear && currentMonth === targetMonth) {
-            // Add main node
-            schedule.push(new Date(currentDate.getTime()));
-
-            // Add clone node (+1 hour)
-            const cloneDate = new Date(currentDate.getTime() + 60 * 60 * 1000);
-
-            // Verify if clone is still in the same month (edge case: main is 23:30 on last day)
-            if (isDateInMonth(cloneDate, targetMonth, targetYear, timezone)) {
-                schedule.push(cloneDate);
-            }
-        }
-
-        // Move to next step in pattern
-        const hoursToAdd = pattern[patternIndex];
-        currentDate = new Date(currentDate.getTime() + hoursToAdd * 60 * 60 * 1000);
-
-        patternIndex = (patternIndex + 1) % pattern.length;
-        cycles++;
-    }
+    return generateSchedule({ startTime, timezone, from, to, pattern, cloneOffsets });
+}
 
-    return schedule.sort((a, b) => a - b);
+/**
+ * Generate the slots in the next `hours` hours
+ * @param {object} options - generateSchedule options without from/to (startTime, timezone, pattern, cloneOffsets)
+ * @param {number} hours - Length of the window
+ * @param {Date} [now] - Window start
+ * @returns {Array<Date>}
+ */
+function generateUpcomingSchedule(options, hours, now = clock.now()) {
+    return generateSchedule({ ...options, from: now, to: new Date(now.getTime() + hours * HOUR_MS) });
 }
 
-module.exports = { generateMonthlySchedule };
+module.exports = { generateSchedule, generateMonthlySchedule, generateUpcomingSchedule };
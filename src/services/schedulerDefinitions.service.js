@@ -0,0 +1,148 @@
+/**
+ * Service: Recurring volatility window definitions
+ *
+ * Each definition describes one recurring schedule:
+ *   - name:          label shown in alerts (also part of alert ids)
+ *   - level:         volatility level label
+ *   - startTime:     anchor start time (ISO 8601; without offset, wall clock in `timezone`)
+ *   - timezone:      IANA timezone of the schedule
+ *   - pattern:       hours between main slots, repeated (e.g. [8, 8, 4])
+ *   - cloneOffsets:  extra slots, in hours after each main slot (e.g. [1])
+ *   - leadMinutes:   how long before each slot the alert is sent
+ *   - chatId/topicId: Telegram destination (defaults: group, BTC topic)
+ *   - notifiers:     notifiers to use (defaults to SCHEDULER_NOTIFIERS)
+ *
+ * Without SCHEDULERS_FILE a single definition is built from the SCHEDULER_*
+ * variables with the original pattern (+8h, +8h, +4h, clone at +1h, 3 min lead).
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'schedulerDefinitions' });
+
+const DEFAULT_PATTERN = [8, 8, 4];
+const DEFAULT_CLONE_OFFSETS = [1];
+const DEFAULT_LEAD_MINUTES = 3;
+
+/**
+ * Turn a name into a file-name friendly id ("BTC biến động" → "btc-bien-dong")
+ * @param {string} name
+ * @returns {string}
+ */
+function slugify(name) {
+    return String(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/gi, 'd')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Validate and normalize a raw scheduler definition
+ * @param {object} raw - Definition from the file
+ * @param {number} index - Position in the file (for errors)
+ * @returns {object} Scheduler definition
+ */
+function compileDefinition(raw, index) {
+    if (!raw || typeof raw !== 'object' || !raw.name) {
+        throw new Error(`Scheduler #${index + 1} must be an object with a "name"`);
+    }
+
+    const fail = (message) => {
+        throw new Error(`Scheduler "${raw.name}": ${message}`);
+    };
+
+    const isPositiveList = (list) => Array.isArray(list) && list.every((n) => Number.isFinite(n) && n > 0);
+
+    const pattern = raw.pattern || DEFAULT_PATTERN;
+    if (!isPositiveList(pattern) || pattern.length === 0) fail('pattern must be a non-empty list of positive hours');
+
+    const cloneOffsets = raw.cloneOffsets || DEFAULT_CLONE_OFFSETS;
+    if (!isPositiveList(cloneOffsets)) fail('cloneOffsets must be a list of positive hours');
+
+    const leadMinutes = raw.leadMinutes === undefined ? DEFAULT_LEAD_MINUTES : raw.leadMinutes;
+    if (!Number.isFinite(leadMinutes) || leadMinutes < 0) fail('leadMinutes must be a number >= 0');
+
+    if (!raw.startTime || Number.isNaN(new Date(raw.startTime).getTime())) fail('startTime must be an ISO 8601 date');
+
+    const timezone = raw.timezone || config.scheduler.timezone;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        fail(`invalid timezone "${timezone}"`);
+    }
+
+    return {
+        id: slugify(raw.id || raw.name) || `scheduler-${index + 1}`,
+        name: String(raw.name),
+        level: raw.level || '',
+        startTime: raw.startTime,
+        timezone,
+        pattern,
+        cloneOffsets,
+        leadMinutes,
+        chatId: raw.chatId || config.telegram.groupId,
+        topicId: raw.topicId || config.telegram.btcTopicId,
+        notifiers: raw.notifiers || config.notifiers.scheduler,
+    };
+}
+
+/**
+ * Load the scheduler definitions from SCHEDULERS_FILE (or the SCHEDULER_* variables)
+ * @returns {Array<object>} Scheduler definitions
+ */
+function loadSchedulerDefinitions() {
+    const { file } = config.schedulers;
+
+    if (!file) {
+        const { startTime, timezone, name, level } = config.scheduler;
+        return [compileDefinition({ name, level, startTime, timezone }, 0)];
+    }
+
+    const filePath = path.resolve(file);
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const list = Array.isArray(raw) ? raw : raw.schedulers;
+
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`Schedulers file ${filePath} must contain a non-empty "schedulers" array`);
+    }
+
+    const definitions = list.map(compileDefinition);
+
+    const ids = new Set();
+    definitions.forEach(({ id, name }) => {
+        if (ids.has(id)) {
+            throw new Error(`Duplicate scheduler "${name}" in ${filePath}`);
+        }
+        ids.add(id);
+    });
+
+    logger.info(`Loaded ${definitions.length} scheduler definition(s) from ${filePath}`);
+    return definitions;
+}
+
+/**
+ * Where a definition's alerts are delivered (see notifier.service.js)
+ * @param {object} definition
+ * @returns {{ notifiers: Array<string>, chatId: string, topicId: string }}
+ */
+function getSchedulerDestination(definition) {
+    return {
+        notifiers: definition.notifiers,
+        chatId: definition.chatId,
+        topicId: definition.topicId,
+    };
+}
+
+/**
+ * Who receives a definition's alerts, as checked against suppression windows
+ * @param {object} definition
+ * @returns {{ key: string, channel: string, destination: object }}
+ */
+function getSchedulerAlertTarget(definition) {
+    return { key: `scheduler:${definition.id}`, channel: 'scheduler', destination: getSchedulerDestination(definition) };
+}
+
+module.exports = { loadSchedulerDefinitions, getSchedulerDestination, getSchedulerAlertTarget, slugify };
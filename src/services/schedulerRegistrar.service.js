@@ -0,0 +1,111 @@
+/**
+ * Service: Register cron jobs for the generated schedule
+ *
+ * Manages the list of active cron jobs of each scheduler definition.
+ * Provides functions to clear existing jobs and to sync them with the
+ * definition's rolling window of upcoming slots.
+ * Jobs are backed by the durable alert store, so a slot is alerted at most once.
+ */
+
+const logger = require('../utils/logger').child({ module: 'schedulerRegistrar' });
+const { sendSchedulerAlert } = require('./notifier.service');
+const { formatDateTime } = require('./timezone.service');
+const { scheduleAlertJob } = require('./alertScheduler.service');
+const { cancelAlert } = require('./alertStore.service');
+const { getSchedulerDestination, getSchedulerAlertTarget } = require('./schedulerDefinitions.service');
+const { recordJobScheduled } = require('./metrics.service');
+const clock = require('../utils/clock');
+
+// Active jobs per definition id, each keyed by alert id: { task, date }
+const activeCronTasks = new Map();
+
+/**
+ * Clear the registered cron jobs of one definition, or of every definition
+ * @param {string} [definitionId] - Definition to clear (all when omitted)
+ */
+function clearScheduledJobs(definitionId) {
+    const ids = definitionId ? [definitionId] : [...activeCronTasks.keys()];
+
+    ids.forEach((id) => {
+        const jobs = activeCronTasks.get(id);
+        if (!jobs || jobs.size === 0) return;
+
+        logger.info(`[${id}] Stopping ${jobs.size} active scheduled background jobs...`);
+        jobs.forEach(({ task }, alertId) => {
+            if (task) task.stop();
+            cancelAlert(alertId);
+        });
+        activeCronTasks.delete(id);
+    });
+}
+
+/**
+ * Bring a definition's jobs in line with the slots of its rolling window
+ * Slots already scheduled are kept, new ones are added and slots no longer
+ * generated (e.g. the definition changed) are cancelled, so regenerating the
+ * window every few minutes does not touch jobs that are still valid.
+ * @param {object} definition - Scheduler definition (see schedulerDefinitions.service.js)
+ * @param {Array<Date>} scheduleDates - Slots of the current window
+ */
+function registerSchedule(definition, scheduleDates) {
+    const { name, level, leadMinutes } = definition;
+    const now = clock.nowMs();
+
+    if (!activeCronTasks.has(definition.id)) {
+        activeCronTasks.set(definition.id, new Map());
+    }
+    const jobs = activeCronTasks.get(definition.id);
+
+    // Ids use the definition id, which stays stable when the display name changes
+    const wanted = new Map(scheduleDates.map((date) => [`scheduler:${definition.id}:${date.toISOString()}`, date]));
+
+    // Forget slots that have passed; cancel future slots that are no longer generated
+    let cancelled = 0;
+    jobs.forEach(({ task, date }, id) => {
+        if (date.getTime() <= now) {
+            if (task) task.stop();
+            jobs.delete(id);
+        } else if (!wanted.has(id)) {
+            if (task) task.stop();
+            cancelAlert(id);
+            jobs.delete(id);
+            cancelled++;
+        }
+    });
+
+    let added = 0;
+    wanted.forEach((date, id) => {
+        if (jobs.has(id)) return;
+
+        // Calculate alert time: the definition's lead time before the target time
+        const alertTime = new Date(date.getTime() - leadMinutes * 60 * 1000);
+
+        // Past slots are skipped by the alert scheduler
+        const task = scheduleAlertJob({
+            id,
+            type: 'scheduler',
+            fireAt: alertTime,
+            expiresAt: date,
+            label: `[${definition.id}] ${name} ${formatDateTime(date.toISOString())}`,
+            payload: { scheduler: definition.id, name, level, date: date.toISOString() },
+            target: getSchedulerAlertTarget(definition),
+            send: async () => {
+                await sendSchedulerAlert(date, name, level, getSchedulerDestination(definition));
+                logger.info(
+                    `Alert sent for ${formatDateTime(date.toISOString())} (Triggered at ${formatDateTime(alertTime.toISOString())})`,
+                    { event: 'scheduler.slot_alerted', alertId: id, scheduler: definition.id }
+                );
+            },
+        });
+
+        if (task) recordJobScheduled('scheduler');
+        jobs.set(id, { task, date });
+        added++;
+    });
+
+    if (added > 0 || cancelled > 0) {
+        logger.info(`[${definition.id}] Schedule window updated: ${added} added, ${cancelled} cancelled, ${jobs.size} tracked`);
+    }
+}
+
+module.exports = { registerSchedule, clearScheduledJobs };
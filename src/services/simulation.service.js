@@ -0,0 +1,210 @@
+/**
+ * Service: Replay a saved calendar against a virtual clock
+ *
+ * Runs the real pipeline - filter rules, grouping by day, daily digests,
+ * pre-event alerts, follow-ups and the volatility schedulers' slots - but:
+ *   - the clock starts at `from` and jumps from one job to the next until `to`,
+ *   - jobs go to a virtual queue instead of node-cron,
+ *   - the alert store lives in memory (data/alerts.json is not touched),
+ *   - Telegram messages are recorded in a transcript instead of being sent,
+ *   - follow-ups read the released figures from the saved calendar.
+ *
+ * Quiet hours, holidays and mutes apply as configured, with catch-up summaries
+ * when SUPPRESSION_CATCH_UP is on. Market reaction reports are not simulated:
+ * they would read prices from the live price source.
+ *
+ * Every destination is simulated through the Telegram notifier, so the
+ * transcript shows the exact Telegram text (other notifiers are not called).
+ * Alerts that were due before `from` but have not expired are sent at `from`,
+ * like after a restart.
+ */
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'simulation' });
+const clock = require('../utils/clock');
+const { createLocalFileSource } = require('./sources/localFile.source');
+const { applyFilterRules } = require('./filterNews.service');
+const { setCalendarEvents } = require('./calendarState.service');
+const { loadSubscriptions } = require('./subscription.service');
+const { loadSchedulerDefinitions } = require('./schedulerDefinitions.service');
+const { generateMonthlySchedule } = require('./scheduleGenerator.service');
+const { registerSchedule } = require('./schedulerRegistrar.service');
+const { setJobRunner, setSuppressionHandler } = require('./alertScheduler.service');
+const { useMemoryStore } = require('./alertStore.service');
+const { setOutcomeFeed } = require('./eventOutcome.service');
+const { setDryRunSink } = require('./telegram.service');
+const { setMarketReactionsEnabled } = require('./marketReaction.service');
+const { startCatchUpSummaries } = require('./catchUp.service');
+const { formatDateTime, getDateKey } = require('./timezone.service');
+const { scheduleAllAlerts } = require('../cron/weeklyFetch.cron');
+
+/**
+ * Virtual job queue implementing the alertScheduler job runner interface
+ * @returns {object} Runner with next() to pop the earliest job
+ */
+function createVirtualRunner() {
+    const jobs = [];
+    let sequence = 0;
+
+    const add = (job, at, fn) => {
+        const entry = { job, at: at.getTime(), seq: sequence++, fn, stopped: false };
+        jobs.push(entry);
+        return { stop: () => { entry.stopped = true; } };
+    };
+
+    return {
+        at: (job, fireAt, fn) => add(job, fireAt, fn),
+        after: (job, delayMs, fn) => add(job, new Date(clock.nowMs() + delayMs), fn),
+        /**
+         * Remove and return the earliest job due at or before `until`
+         * @param {number} until - ms
+         * @returns {object|null}
+         */
+        next(until) {
+            const live = jobs.filter((entry) => !entry.stopped);
+            jobs.length = 0;
+            jobs.push(...live);
+            jobs.sort((a, b) => a.at - b.at || a.seq - b.seq);
+
+            if (jobs.length === 0 || jobs[0].at > until) return null;
+            return jobs.shift();
+        },
+    };
+}
+
+/**
+ * Name of a topic id for the transcript ("news", "btc", or the id itself)
+ * @param {string|number|undefined} topicId
+ * @returns {string}
+ */
+function getTopicName(topicId) {
+    if (!topicId) return 'general';
+    if (String(topicId) === String(config.telegram.newsTopicId)) return 'news';
+    if (String(topicId) === String(config.telegram.btcTopicId)) return 'btc';
+    return String(topicId);
+}
+
+/**
+ * Slots of a scheduler definition between two times
+ * @param {object} definition
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<Date>}
+ */
+function getSlotsInRange(definition, from, to) {
+    const { startTime, timezone, pattern, cloneOffsets } = definition;
+    const slots = [];
+
+    // One monthly schedule per month touched by the range (months in the definition's timezone)
+    const months = new Set();
+    for (let t = from.getTime(); t <= to.getTime(); t += 24 * 60 * 60 * 1000) {
+        months.add(getDateKey(new Date(t).toISOString(), timezone).slice(0, 7));
+    }
+    months.add(getDateKey(to.toISOString(), timezone).slice(0, 7));
+
+    months.forEach((month) => {
+        const targetDate = new Date(`${month}-15T12:00:00Z`);
+        generateMonthlySchedule({ startTime, timezone, targetDate, pattern, cloneOffsets })
+            .filter((date) => date >= from && date <= to)
+            .forEach((date) => slots.push(date));
+    });
+
+    return slots.sort((a, b) => a - b);
+}
+
+/**
+ * Replay a saved calendar between two times
+ *
+ * @param {object} options
+ * @param {string} options.calendarFile - Saved calendar (JSON or CSV, see localFile.source.js)
+ * @param {Date} options.from - Virtual start time
+ * @param {Date} options.to - Virtual end time
+ * @param {boolean} [options.schedulers] - Include the volatility schedulers (default true)
+ * @returns {Promise<Array<object>>} Transcript: { timestamp, chatId, topicId, topic, alertId, alertType, text }
+ */
+async function runSimulation({ calendarFile, from, to, schedulers = true }) {
+    if (!(from < to)) {
+        throw new Error('Simulation range is empty: "from" must be before "to"');
+    }
+
+    const events = await createLocalFileSource({ name: 'snapshot', file: calendarFile }).fetchEvents();
+    logger.info(`Simulating ${events.length} calendar events from ${from.toISOString()} to ${to.toISOString()}`);
+
+    const transcript = [];
+    const runner = createVirtualRunner();
+    let currentJob = null;
+
+    clock.setVirtualTime(from);
+    useMemoryStore();
+    setJobRunner(runner);
+    setOutcomeFeed(events);
+    setMarketReactionsEnabled(false);
+    startCatchUpSummaries();
+    setDryRunSink((payload) => {
+        transcript.push({
+            timestamp: clock.now().toISOString(),
+            chatId: payload.chat_id,
+            topicId: payload.message_thread_id || null,
+            topic: getTopicName(payload.message_thread_id),
+            alertId: currentJob ? currentJob.id : null,
+            alertType: currentJob ? currentJob.type : null,
+            text: payload.text,
+        });
+    });
+
+    try {
+        // Every destination goes through the Telegram notifier
+        const subscriptions = loadSubscriptions().map((subscription) => ({ ...subscription, notifiers: ['telegram'] }));
+
+        const eventsBySubscription = {};
+        subscriptions.forEach((subscription) => {
+            eventsBySubscription[subscription.name] = applyFilterRules(events, subscription.rules);
+        });
+        setCalendarEvents(eventsBySubscription);
+        scheduleAllAlerts(subscriptions, eventsBySubscription);
+
+        if (schedulers) {
+            loadSchedulerDefinitions().forEach((definition) => {
+                const simulated = { ...definition, notifiers: ['telegram'] };
+                registerSchedule(simulated, getSlotsInRange(simulated, from, to));
+            });
+        }
+
+        // Jump from job to job; jobs may schedule further jobs (follow-up retries)
+        for (let entry = runner.next(to.getTime()); entry; entry = runner.next(to.getTime())) {
+            clock.setVirtualTime(new Date(Math.max(entry.at, from.getTime())));
+            currentJob = entry.job;
+            await entry.fn();
+            currentJob = null;
+        }
+    } finally {
+        setDryRunSink(null);
+        setSuppressionHandler(null);
+        setOutcomeFeed(null);
+        setMarketReactionsEnabled(null);
+        setJobRunner(null);
+        clock.useRealTime();
+    }
+
+    logger.info(`Simulation finished: ${transcript.length} message(s)`);
+    return transcript;
+}
+
+/**
+ * Render a transcript as readable text
+ * @param {Array<object>} transcript
+ * @returns {string}
+ */
+function formatTranscript(transcript) {
+    if (transcript.length === 0) return 'No messages would be sent in this range.\n';
+
+    return transcript
+        .map((entry) => {
+            const header =
+                `=== ${formatDateTime(entry.timestamp)} → ${entry.topic} (chat ${entry.chatId})` +
+                (entry.alertId ? ` [${entry.alertId}]` : '');
+            return `${header}\n${entry.text}\n`;
+        })
+        .join('\n');
+}
+
+module.exports = { runSimulation, formatTranscript };
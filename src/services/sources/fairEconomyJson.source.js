@@ -0,0 +1,31 @@
+/**
+ * Calendar source: Fair Economy JSON feed (this week or next week)
+ */
+const axios = require('axios');
+const { normalizeEvent } = require('./normalizeEvent');
+
+/**
+ * Create a source that reads a Fair Economy JSON feed
+ * @param {object} options
+ * @param {string} options.name - Source name used in logs and on events
+ * @param {string} options.url - Feed URL
+ * @returns {{ name: string, fetchEvents: Function }}
+ */
+function createFairEconomyJsonSource({ name, url }) {
+    return {
+        name,
+        async fetchEvents() {
+            const response = await axios.get(url, {
+                timeout: 10000, // 10s timeout
+            });
+
+            if (!Array.isArray(response.data)) {
+                throw new Error(`${name}: expected a JSON array from ${url}`);
+            }
+
+            return response.data.map((raw) => normalizeEvent(raw, name)).filter(Boolean);
+        },
+    };
+}
+
+module.exports = { createFairEconomyJsonSource };
@@ -0,0 +1,104 @@
+/**
+ * Calendar source: Fair Economy XML feed
+ *
+ * The XML variant lists dates as MM-DD-YYYY and times as "8:30am" without an
+ * offset; they are read in the configured feed timezone. Events without a clock
+ * time ("All Day", "Tentative") are placed at 00:00 of their day.
+ */
+const axios = require('axios');
+const { normalizeEvent } = require('./normalizeEvent');
+const { zonedTimeToDate } = require('../timezone.service');
+
+const XML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&apos;': "'",
+};
+
+/**
+ * Read the text content of a tag inside an <event> block
+ * @param {string} block - XML of a single event
+ * @param {string} tag - Tag name
+ * @returns {string}
+ */
+function readTag(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    if (!match) return '';
+
+    const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    if (cdata) return cdata[1].trim();
+
+    return match[1].replace(/&(amp|lt|gt|quot|apos);/g, (entity) => XML_ENTITIES[entity]).trim();
+}
+
+/**
+ * Parse "8:30am" / "12:00pm" into hours and minutes
+ * @param {string} time
+ * @returns {{ hour: number, minute: number }|null}
+ */
+function parseClockTime(time) {
+    const match = time.match(/^(\d{1,2}):(\d{2})\s*(am|pm)$/i);
+    if (!match) return null;
+
+    let hour = parseInt(match[1], 10) % 12;
+    if (match[3].toLowerCase() === 'pm') hour += 12;
+    return { hour, minute: parseInt(match[2], 10) };
+}
+
+/**
+ * Parse the XML feed into raw events
+ * @param {string} xml
+ * @param {string} timezone - Timezone of the dates/times in the feed
+ * @returns {Array<object>}
+ */
+function parseCalendarXml(xml, timezone) {
+    const blocks = xml.match(/<event>[\s\S]*?<\/event>/g) || [];
+
+    return blocks.map((block) => {
+        const [month, day, year] = readTag(block, 'date').split('-');
+        const clock = parseClockTime(readTag(block, 'time')) || { hour: 0, minute: 0 };
+
+        return {
+            title: readTag(block, 'title'),
+            country: readTag(block, 'country'),
+            date: zonedTimeToDate(`${year}-${month}-${day}`, clock.hour, clock.minute, timezone),
+            impact: readTag(block, 'impact'),
+            forecast: readTag(block, 'forecast'),
+            previous: readTag(block, 'previous'),
+            actual: readTag(block, 'actual'),
+        };
+    });
+}
+
+/**
+ * Create a source that reads the Fair Economy XML feed
+ * @param {object} options
+ * @param {string} options.name - Source name used in logs and on events
+ * @param {string} options.url - Feed URL
+ * @param {string} options.timezone - Timezone of the dates/times in the feed
+ * @returns {{ name: string, fetchEvents: Function }}
+ */
+function createFairEconomyXmlSource({ name, url, timezone }) {
+    return {
+        name,
+        async fetchEvents() {
+            const response = await axios.get(url, {
+                timeout: 10000, // 10s timeout
+                responseType: 'arraybuffer',
+            });
+
+            // The feed declares its own encoding (windows-1252)
+            const head = Buffer.from(response.data).subarray(0, 100).toString('latin1');
+            const encoding = (head.match(/encoding="([^"]+)"/) || [])[1] || 'utf-8';
+            const xml = new TextDecoder(encoding).decode(response.data);
+
+            return parseCalendarXml(xml, timezone)
+                .map((raw) => normalizeEvent(raw, name))
+                .filter(Boolean);
+        },
+    };
+}
+
+module.exports = { createFairEconomyXmlSource, parseCalendarXml };
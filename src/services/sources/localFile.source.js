@@ -0,0 +1,101 @@
+/**
+ * Calendar source: local JSON or CSV file
+ *
+ * Used for manual overrides and offline testing.
+ *   - JSON: an array of events in the Fair Economy shape
+ *   - CSV:  a header row naming the columns, e.g.
+ *           date,country,impact,title,forecast,previous,actual
+ *           2026-02-10T08:30:00-05:00,USD,High,CPI m/m,0.3%,0.2%,
+ * Dates must be ISO 8601 with an offset (or "Z").
+ */
+const fs = require('fs');
+const path = require('path');
+const { normalizeEvent } = require('./normalizeEvent');
+
+/**
+ * Split a CSV line into fields (supports quoted fields with "" escapes)
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Parse CSV text into raw event objects keyed by the header row
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+function parseCalendarCsv(text) {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+    if (lines.length === 0) return [];
+
+    const header = splitCsvLine(lines[0]).map((h) => h.trim().toLowerCase());
+
+    return lines.slice(1).map((line) => {
+        const values = splitCsvLine(line);
+        const raw = {};
+        header.forEach((column, index) => {
+            raw[column] = values[index];
+        });
+        return raw;
+    });
+}
+
+/**
+ * Create a source that reads events from a local file
+ * @param {object} options
+ * @param {string} options.name - Source name used in logs and on events
+ * @param {string} options.file - Path to a .json or .csv file
+ * @returns {{ name: string, fetchEvents: Function }}
+ */
+function createLocalFileSource({ name, file }) {
+    return {
+        name,
+        async fetchEvents() {
+            const filePath = path.resolve(file);
+            const text = await fs.promises.readFile(filePath, 'utf8');
+
+            let rawEvents;
+            if (path.extname(filePath).toLowerCase() === '.csv') {
+                rawEvents = parseCalendarCsv(text);
+            } else {
+                rawEvents = JSON.parse(text);
+                if (!Array.isArray(rawEvents)) {
+                    throw new Error(`${name}: expected a JSON array in ${filePath}`);
+                }
+            }
+
+            return rawEvents.map((raw) => normalizeEvent(raw, name)).filter(Boolean);
+        },
+    };
+}
+
+module.exports = { createLocalFileSource, parseCalendarCsv };
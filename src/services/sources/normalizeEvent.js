@@ -0,0 +1,42 @@
+/**
+ * Normalize calendar events coming from any source into one internal shape:
+ *
+ *   {
+ *     date:     ISO 8601 UTC timestamp ("2026-02-10T13:30:00.000Z"),
+ *     country:  currency code ("USD"),
+ *     impact:   "High" | "Medium" | "Low" | "Holiday" | ...,
+ *     title:    event title,
+ *     forecast: string ('' when unknown),
+ *     previous: string ('' when unknown),
+ *     actual:   string ('' until released),
+ *     source:   name of the adapter that produced it
+ *   }
+ */
+
+/**
+ * Normalize a raw event
+ * @param {object} raw - Event with at least date, country and title
+ * @param {string} source - Adapter name
+ * @returns {object|null} Normalized event, or null if the date is invalid
+ */
+function normalizeEvent(raw, source) {
+    const date = raw.date instanceof Date ? raw.date : new Date(raw.date);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+
+    const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+    return {
+        date: date.toISOString(),
+        country: text(raw.country).toUpperCase(),
+        impact: text(raw.impact),
+        title: text(raw.title),
+        forecast: text(raw.forecast),
+        previous: text(raw.previous),
+        actual: text(raw.actual),
+        source,
+    };
+}
+
+module.exports = { normalizeEvent };
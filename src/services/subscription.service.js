@@ -0,0 +1,150 @@
+/**
+ * Service: Alert subscriptions (destinations)
+ *
+ * One instance can serve several groups. Each subscription has:
+ *   - name:      unique id (used in alert ids and logs)
+ *   - chatId:    Telegram chat to post to (defaults to TELEGRAM_GROUP_ID)
+ *   - topicId:   topic (message_thread_id) in that chat, optional
+ *   - rules:     filter rules (see filterNews.service.js), defaults to FILTER_RULES_FILE
+ *   - alerts:    alert types to send: "digest", "pre-event", "outcome", "changes",
+ *                "outlook" (weekly outlook on Monday, Sunday preview)
+ *   - notifiers: notifiers to use (defaults to NEWS_NOTIFIERS); chatId/topicId
+ *                only apply to Telegram, other notifiers use their own config
+ *
+ * Without SUBSCRIPTIONS_FILE a single "default" subscription reproduces the
+ * original setup: the configured group's news topic with every alert type.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'subscription' });
+const { loadFilterRules, compileRule } = require('./filterNews.service');
+
+const ALERT_TYPES = ['digest', 'pre-event', 'outcome', 'changes', 'outlook'];
+
+/**
+ * Validate and normalize a raw subscription definition
+ * @param {object} raw - Subscription from the file
+ * @param {number} index - Position in the file (for errors)
+ * @param {Function} getDefaultRules - Returns the rules used when none are given
+ * @returns {object} Subscription
+ */
+function compileSubscription(raw, index, getDefaultRules) {
+    if (!raw || typeof raw !== 'object' || !raw.name) {
+        throw new Error(`Subscription #${index + 1} must be an object with a "name"`);
+    }
+
+    const alerts = raw.alerts || ALERT_TYPES;
+    const unknown = alerts.filter((type) => !ALERT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new Error(
+            `Subscription "${raw.name}" has unknown alert type(s): ${unknown.join(', ')} (expected ${ALERT_TYPES.join(', ')})`
+        );
+    }
+
+    return {
+        name: String(raw.name),
+        chatId: raw.chatId || config.telegram.groupId,
+        topicId: raw.topicId || null,
+        rules: Array.isArray(raw.rules) && raw.rules.length > 0 ? raw.rules.map(compileRule) : getDefaultRules(),
+        alerts: new Set(alerts),
+        notifiers: raw.notifiers || config.notifiers.news,
+    };
+}
+
+/**
+ * Load the subscriptions from the file configured in SUBSCRIPTIONS_FILE
+ * Falls back to a single "default" subscription when no file is set.
+ * @returns {Array<object>} Subscriptions
+ */
+function loadSubscriptions() {
+    const { file } = config.subscriptions;
+
+    let defaultRules = null;
+    const getDefaultRules = () => (defaultRules = defaultRules || loadFilterRules());
+
+    if (!file) {
+        return [
+            compileSubscription(
+                { name: 'default', chatId: config.telegram.groupId, topicId: config.telegram.newsTopicId },
+                0,
+                getDefaultRules
+            ),
+        ];
+    }
+
+    const filePath = path.resolve(file);
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const list = Array.isArray(raw) ? raw : raw.subscriptions;
+
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error(`Subscriptions file ${filePath} must contain a non-empty "subscriptions" array`);
+    }
+
+    const subscriptions = list.map((item, index) => compileSubscription(item, index, getDefaultRules));
+
+    const names = new Set();
+    subscriptions.forEach(({ name }) => {
+        if (names.has(name)) {
+            throw new Error(`Duplicate subscription name "${name}" in ${filePath}`);
+        }
+        names.add(name);
+    });
+
+    logger.info(`Loaded ${subscriptions.length} subscription(s) from ${filePath}`);
+    return subscriptions;
+}
+
+/**
+ * Check whether a subscription receives a type of alert
+ * @param {object} subscription
+ * @param {string} type - "digest", "pre-event", "outcome" or "changes"
+ * @returns {boolean}
+ */
+function wantsAlert(subscription, type) {
+    return subscription.alerts.has(type);
+}
+
+/**
+ * Where a subscription's alerts are delivered (see notifier.service.js)
+ * @param {object} subscription
+ * @returns {{ notifiers: Array<string>, chatId: string, topicId: string|null }}
+ */
+function getDestination(subscription) {
+    return {
+        notifiers: subscription.notifiers,
+        chatId: subscription.chatId,
+        topicId: subscription.topicId,
+    };
+}
+
+/**
+ * Who receives a subscription's alerts, as checked against suppression windows
+ * @param {object} subscription
+ * @returns {{ key: string, channel: string, destination: object }}
+ */
+function getAlertTarget(subscription) {
+    return { key: `subscription:${subscription.name}`, channel: 'news', destination: getDestination(subscription) };
+}
+
+/**
+ * Find the subscription answering bot commands in a chat/topic
+ * An exact topic match wins over a subscription on the same chat.
+ * @param {Array<object>} subscriptions
+ * @param {string|number} chatId
+ * @param {string|number|null} topicId
+ * @returns {object|undefined}
+ */
+function findSubscriptionForChat(subscriptions, chatId, topicId) {
+    const inChat = subscriptions.filter((s) => String(s.chatId) === String(chatId));
+    return inChat.find((s) => topicId && String(s.topicId) === String(topicId)) || inChat[0];
+}
+
+module.exports = {
+    ALERT_TYPES,
+    loadSubscriptions,
+    wantsAlert,
+    getDestination,
+    getAlertTarget,
+    findSubscriptionForChat,
+};
@@ -0,0 +1,338 @@
+/**
+ * Service: Suppression windows (quiet hours, holidays, mutes)
+ *
+ * An alert is not sent while its target is inside a suppression window:
+ *   - quiet hours: recurring wall-clock windows, e.g. 23:00 → 07:00 every night
+ *   - holidays:    dated blackouts of whole days
+ *   - mutes:       ad-hoc "mute this target until X" entries
+ *
+ * Quiet hours and holidays come from SUPPRESSION_FILE (see suppression.example.json).
+ * Mutes are kept in MUTES_FILE and managed with the CLI or the admin API; the
+ * file is re-read on every check, so a mute set from another process applies at once.
+ *
+ * Targets name who receives an alert: "subscription:<name>" or "scheduler:<id>".
+ * Rules list the targets they apply to; "*" matches everything and a trailing
+ * "*" matches a prefix (e.g. "scheduler:*"). Rules may also be limited to some
+ * alert types ("daily", "pre-event", "follow-up", "scheduler", "catch-up").
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'suppression' });
+const clock = require('../utils/clock');
+const { SCHEDULE_TIMEZONE, getDateKey, zonedTimeToDate } = require('./timezone.service');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+let rules = null;
+
+/**
+ * Parse "HH:MM"
+ * @param {string} value
+ * @returns {{ hour: number, minute: number }|null}
+ */
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+/**
+ * Add days to a date key
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check whether a rule's target pattern matches a target
+ * @param {string} pattern - "*", exact target or "prefix*"
+ * @param {string} target
+ * @returns {boolean}
+ */
+function matchesTarget(pattern, target) {
+    if (pattern === '*' || pattern === target) return true;
+    return pattern.endsWith('*') && target.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * Validate the fields shared by quiet hours and holidays
+ * @param {object} raw
+ * @param {Function} fail
+ * @returns {{ targets: Array<string>, types: Array<string>|null, timezone: string }}
+ */
+function compileCommon(raw, fail) {
+    const targets = raw.targets || ['*'];
+    if (!Array.isArray(targets) || targets.some((t) => typeof t !== 'string')) fail('targets must be a list of strings');
+    if (raw.types && !Array.isArray(raw.types)) fail('types must be a list of alert types');
+
+    const timezone = raw.timezone || SCHEDULE_TIMEZONE;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        fail(`invalid timezone "${timezone}"`);
+    }
+
+    return { targets, types: raw.types || null, timezone };
+}
+
+/**
+ * Validate and normalize a quiet hours entry
+ * @param {object} raw
+ * @param {number} index
+ * @returns {object}
+ */
+function compileQuietHours(raw, index) {
+    const fail = (message) => {
+        throw new Error(`Quiet hours #${index + 1}: ${message}`);
+    };
+    if (!raw || typeof raw !== 'object') fail('must be an object');
+
+    const from = parseTimeOfDay(raw.from);
+    const to = parseTimeOfDay(raw.to);
+    if (!from || !to) fail('"from" and "to" must be times like "23:00"');
+
+    const days = raw.days ? raw.days.map((day) => DAY_NAMES.indexOf(String(day).toLowerCase().slice(0, 3))) : null;
+    if (days && days.includes(-1)) fail(`days must be weekday names (${DAY_NAMES.join(', ')})`);
+
+    return {
+        ...compileCommon(raw, fail),
+        name: raw.name ? String(raw.name) : `quiet hours ${raw.from}-${raw.to}`,
+        from,
+        to,
+        days,
+    };
+}
+
+/**
+ * Validate and normalize a holiday entry
+ * @param {object} raw
+ * @param {number} index
+ * @returns {object}
+ */
+function compileHoliday(raw, index) {
+    const fail = (message) => {
+        throw new Error(`Holiday #${index + 1}: ${message}`);
+    };
+    if (!raw || typeof raw !== 'object') fail('must be an object');
+
+    const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime());
+    if (!isDateKey(raw.date)) fail('date must be YYYY-MM-DD');
+    if (raw.until !== undefined && (!isDateKey(raw.until) || raw.until < raw.date)) {
+        fail('until must be YYYY-MM-DD, on or after date');
+    }
+
+    return {
+        ...compileCommon(raw, fail),
+        name: raw.name ? String(raw.name) : `holiday ${raw.date}`,
+        date: raw.date,
+        until: raw.until || raw.date,
+    };
+}
+
+/**
+ * Load the quiet hours and holidays from SUPPRESSION_FILE (once)
+ * @returns {{ quietHours: Array<object>, holidays: Array<object> }}
+ */
+function loadSuppressionRules() {
+    if (rules) return rules;
+
+    const { file } = config.suppression;
+    if (!file) {
+        rules = { quietHours: [], holidays: [] };
+        return rules;
+    }
+
+    const filePath = path.resolve(file);
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    rules = {
+        quietHours: (raw.quietHours || []).map(compileQuietHours),
+        holidays: (raw.holidays || []).map(compileHoliday),
+    };
+
+    logger.info(
+        `Loaded ${rules.quietHours.length} quiet hours window(s) and ${rules.holidays.length} holiday(s) from ${filePath}`
+    );
+    return rules;
+}
+
+/**
+ * Check whether a rule applies to a target and alert type
+ * @param {object} rule
+ * @param {string} target
+ * @param {string} [type]
+ * @returns {boolean}
+ */
+function appliesTo(rule, target, type) {
+    const targeted = rule.targets.some((pattern) => matchesTarget(pattern, target));
+    return targeted && (!rule.types || !type || rule.types.includes(type));
+}
+
+/**
+ * End of the quiet hours window containing a time, if any
+ * Windows that cross midnight (23:00 → 07:00) belong to the day they start on.
+ * @param {object} window - Compiled quiet hours
+ * @param {Date} at
+ * @returns {Date|null}
+ */
+function getQuietHoursEnd(window, at) {
+    const { from, to, days, timezone } = window;
+    const today = getDateKey(at.toISOString(), timezone);
+    const overnight = to.hour * 60 + to.minute <= from.hour * 60 + from.minute;
+
+    for (const startDay of [addDays(today, -1), today]) {
+        if (days && !days.includes(new Date(`${startDay}T00:00:00Z`).getUTCDay())) continue;
+
+        const start = zonedTimeToDate(startDay, from.hour, from.minute, timezone);
+        const end = zonedTimeToDate(overnight ? addDays(startDay, 1) : startDay, to.hour, to.minute, timezone);
+        if (start <= at && at < end) return end;
+    }
+    return null;
+}
+
+/**
+ * Read the mutes file, without the mutes that have ended
+ * @param {Date} [at]
+ * @returns {Array<{ target: string, until: string, reason: string, createdAt: string }>}
+ */
+function readMutes(at = clock.now()) {
+    const filePath = path.resolve(config.suppression.mutesFile);
+    if (!fs.existsSync(filePath)) return [];
+
+    try {
+        const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return (raw.mutes || []).filter((mute) => new Date(mute.until) > at);
+    } catch (error) {
+        logger.error(`Failed to read mutes file ${filePath}: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Write the mutes file
+ * @param {Array<object>} mutes
+ */
+function writeMutes(mutes) {
+    const filePath = path.resolve(config.suppression.mutesFile);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, `${JSON.stringify({ mutes }, null, 2)}\n`);
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Find the suppression window a target is in
+ * When several windows overlap, the one ending last wins.
+ * @param {string} target - "subscription:<name>" or "scheduler:<id>"
+ * @param {object} [options]
+ * @param {string} [options.type] - Alert type
+ * @param {Date} [options.at] - Time to check (default now)
+ * @returns {{ reason: string, name: string, until: Date }|null}
+ */
+function getSuppression(target, { type, at = clock.now() } = {}) {
+    const { quietHours, holidays } = loadSuppressionRules();
+    const matches = [];
+
+    readMutes(at)
+        .filter((mute) => matchesTarget(mute.target, target))
+        .forEach((mute) => {
+            matches.push({ reason: 'mute', name: mute.reason || `muted ${mute.target}`, until: new Date(mute.until) });
+        });
+
+    holidays
+        .filter((holiday) => appliesTo(holiday, target, type))
+        .forEach((holiday) => {
+            const start = zonedTimeToDate(holiday.date, 0, 0, holiday.timezone);
+            const end = zonedTimeToDate(addDays(holiday.until, 1), 0, 0, holiday.timezone);
+            if (start <= at && at < end) matches.push({ reason: 'holiday', name: holiday.name, until: end });
+        });
+
+    quietHours
+        .filter((window) => appliesTo(window, target, type))
+        .forEach((window) => {
+            const end = getQuietHoursEnd(window, at);
+            if (end) matches.push({ reason: 'quiet-hours', name: window.name, until: end });
+        });
+
+    if (matches.length === 0) return null;
+    return matches.reduce((latest, match) => (match.until > latest.until ? match : latest));
+}
+
+/**
+ * Parse the end of a mute: an ISO 8601 time or a duration from now ("30m", "2h", "1d")
+ * @param {string} value
+ * @returns {Date}
+ */
+function parseMuteUntil(value) {
+    const duration = /^(\d+)\s*([mhd])$/.exec(String(value).trim());
+    const until = duration
+        ? new Date(clock.nowMs() + Number(duration[1]) * DURATION_UNITS[duration[2]])
+        : new Date(value);
+
+    if (Number.isNaN(until.getTime())) {
+        throw new Error(`Invalid mute end "${value}": expected an ISO 8601 time or a duration like 30m, 2h, 1d`);
+    }
+    if (until <= clock.now()) {
+        throw new Error(`Mute end ${until.toISOString()} is in the past`);
+    }
+    return until;
+}
+
+/**
+ * Mute a target until a given time (replaces an existing mute of the same target)
+ * @param {string} target - Target or pattern ("scheduler:btc-bien-dong", "scheduler:*", "*")
+ * @param {Date} until
+ * @param {string} [reason]
+ * @returns {object} The mute
+ */
+function addMute(target, until, reason = '') {
+    if (!target || typeof target !== 'string') {
+        throw new Error('A mute needs a target, e.g. "scheduler:<id>" or "subscription:<name>"');
+    }
+
+    const mute = { target, until: until.toISOString(), reason, createdAt: clock.now().toISOString() };
+    writeMutes([...readMutes().filter((m) => m.target !== target), mute]);
+
+    logger.info(`🔇 ${target} muted until ${mute.until}${reason ? ` (${reason})` : ''}`, { event: 'mute.added', target });
+    return mute;
+}
+
+/**
+ * Remove the mute of a target
+ * @param {string} target
+ * @returns {boolean} true if a mute was removed
+ */
+function removeMute(target) {
+    const mutes = readMutes();
+    const remaining = mutes.filter((m) => m.target !== target);
+    if (remaining.length === mutes.length) return false;
+
+    writeMutes(remaining);
+    logger.info(`🔈 ${target} unmuted`, { event: 'mute.removed', target });
+    return true;
+}
+
+/**
+ * List the mutes that have not ended
+ * @returns {Array<object>}
+ */
+function listMutes() {
+    return readMutes();
+}
+
+module.exports = {
+    loadSuppressionRules,
+    getSuppression,
+    parseMuteUntil,
+    addMute,
+    removeMute,
+    listMutes,
+};
@@ -1,99 +1,260 @@
 /**
  * Service: Send messages to Telegram via Bot API
+ *
+ * Low-level API access only; alert formatting lives in
+ * notifiers/formatters/telegram.formatter.js.
  */
 const axios = require('axios');
 const config = require('../config/env');
-const logger = require('../utils/logger');
-const { formatDateTime } = require('./timezone.service');
+const logger = require('../utils/logger').child({ module: 'telegram' });
+const { enqueueMessage } = require('./outbox.service');
+const { recordTelegramSend } = require('./metrics.service');
+const {
+    TELEGRAM_MESSAGE_LIMIT,
+    splitHtml,
+    renderMessage,
+} = require('./messageRenderer.service');
 
 const TELEGRAM_API_BASE = 'https://api.telegram.org/bot';
 
+// Dry run: messages are handed to this function instead of the Bot API
+let dryRunSink = null;
+let dryRunMessageId = 0;
+
+/**
+ * Call a Telegram Bot API method
+ * @param {string} method - API method name (e.g. "sendMessage")
+ * @param {object} payload - Request body
+ * @param {object} [axiosOptions] - Extra axios options (e.g. timeout)
+ * @returns {Promise<object>} Telegram API response
+ */
+async function callTelegramApi(method, payload, axiosOptions = {}) {
+    const url = `${TELEGRAM_API_BASE}${config.telegram.botToken}/${method}`;
+    const response = await axios.post(url, payload, axiosOptions);
+    return response.data;
+}
+
+/**
+ * Queue a single message (at most 4096 characters) in the outbox
+ * @param {object} payload - sendMessage request body
+ * @param {Date|null} expiresAt - Drop the message if it cannot be sent before this time
+ * @returns {Promise<object>} Telegram API response
+ */
+function queueTelegramMessage(payload, expiresAt) {
+    if (dryRunSink) {
+        dryRunSink(payload);
+        dryRunMessageId += 1;
+        return Promise.resolve({ ok: true, result: { message_id: dryRunMessageId } });
+    }
+
+    return enqueueMessage({
+        chatKey: `telegram:${payload.chat_id}`,
+        label: payload.text.split('\n')[0].slice(0, 80),
+        payload,
+        expiresAt,
+        deliver: () => callTelegramApi('sendMessage', payload),
+    });
+}
+
 /**
  * Send a text message to the configured Telegram channel
+ * Messages go through the outbox queue (pacing, retries, dead letters).
+ * Text over Telegram's limit is split into several messages without breaking HTML.
  * @param {string} text - Message text (supports HTML parse mode)
  * @param {string} [topicId] - Optional: Topic ID (message_thread_id) to send to
- * @returns {Promise<object>} Telegram API response
+ * @param {object} [options]
+ * @param {string|number} [options.chatId] - Chat to send to (defaults to the configured group)
+ * @param {number} [options.replyToMessageId] - Message to reply to
+ * @param {Date} [options.expiresAt] - Drop the message if it cannot be sent before this time
+ * @returns {Promise<object>} Telegram API response (of the first part when split)
  */
-async function sendMessage(text, topicId = null) {
-    const url = `${TELEGRAM_API_BASE}${config.telegram.botToken}/sendMessage`;
-
+async function sendMessage(text, topicId = null, options = {}) {
     try {
-        const payload = {
-            chat_id: config.telegram.groupId,
-            text,
+        const basePayload = {
+            chat_id: options.chatId || config.telegram.groupId,
             parse_mode: 'HTML',
         };
 
         if (topicId) {
-            payload.message_thread_id = topicId;
+            basePayload.message_thread_id = topicId;
+        }
+        if (options.replyToMessageId) {
+            basePayload.reply_to_message_id = options.replyToMessageId;
         }
 
-        const response = await axios.post(url, payload);
+        const chunks = splitHtml(text, TELEGRAM_MESSAGE_LIMIT);
+        let first = null;
 
-        logger.info('Telegram message sent successfully');
-        return response.data;
+        for (const chunk of chunks) {
+            const data = await queueTelegramMessage(
+                { ...basePayload, text: chunk },
+                options.expiresAt || null
+            );
+            first = first || data;
+        }
+
+        logger.info(
+            chunks.length > 1
+                ? `Telegram message sent successfully (${chunks.length} parts)`
+                : 'Telegram message sent successfully',
+            { event: 'telegram.sent', chatId: basePayload.chat_id, topicId, parts: chunks.length }
+        );
+        recordTelegramSend('success', topicId);
+        return first;
     } catch (error) {
-        logger.error('Failed to send Telegram message:', error.message);
+        recordTelegramSend(error.code === 'STALE' ? 'stale' : 'failure', topicId);
+        logger.error('Failed to send Telegram message:', error.message, {
+            event: 'telegram.failed',
+            chatId: options.chatId || config.telegram.groupId,
+            topicId,
+        });
         throw error;
     }
 }
 
 /**
- * Build and send an alert message with a list of economic news events
- * @param {Array} events - Filtered events (High + USD)
- * @param {string} dateLabel - The date label for the alert (e.g., "11/02/2026")
+ * Render a message layout (see messageRenderer.service.js) and send every part
+ * @param {object} layout - { title, intro, blocks, footer }
+ * @param {string} [topicId] - Optional: Topic ID (message_thread_id) to send to
+ * @param {object} [options] - Same options as sendMessage
+ * @returns {Promise<object>} Telegram API response of the first part
  */
-async function sendNewsAlert(events, dateLabel) {
-    // Build the message content
-    let message = `📊 <b>Economic News Alert - ${dateLabel}</b>\n`;
-    message += `━━━━━━━━━━━━━━━━━━━━\n\n`;
-
-    events.forEach((event, index) => {
-        const timeStr = formatDateTime(event.date);
+async function sendLayout(layout, topicId = null, options = {}) {
+    let first = null;
+    for (const part of renderMessage(layout)) {
+        const data = await sendMessage(part, topicId, options);
+        first = first || data;
+    }
+    return first;
+}
 
-        message += `${timeStr} 🔴 <b>${event.title}</b>\n`;
+/**
+ * Send a file to Telegram (sendDocument, multipart upload) through the outbox
+ * @param {string|Buffer} content - File content
+ * @param {string} filename - File name shown in the chat (e.g. "news-default.ics")
+ * @param {string} [topicId] - Optional: Topic ID (message_thread_id) to send to
+ * @param {object} [options]
+ * @param {string|number} [options.chatId] - Chat to send to (defaults to the configured group)
+ * @param {string} [options.caption] - Caption (supports HTML parse mode)
+ * @param {string} [options.contentType] - MIME type of the file (default application/octet-stream)
+ * @returns {Promise<object>} Telegram API response
+ */
+async function sendDocument(content, filename, topicId = null, options = {}) {
+    // Kept small: this is what the dry-run sink and the dead-letter file see
+    const payload = { chat_id: options.chatId || config.telegram.groupId, document: filename };
+    if (topicId) {
+        payload.message_thread_id = topicId;
+    }
+    if (options.caption) {
+        payload.caption = options.caption;
+        payload.parse_mode = 'HTML';
+    }
 
-        // Include forecast & previous if available
-        if (event.forecast) {
-            message += `   📈 Forecast: ${event.forecast}\n`;
-        }
-        if (event.previous) {
-            message += `   📉 Previous: ${event.previous}\n`;
+    try {
+        let data;
+        if (dryRunSink) {
+            dryRunSink({ ...payload, text: `${options.caption || ''}\n[document: ${filename}]`.trim() });
+            dryRunMessageId += 1;
+            data = { ok: true, result: { message_id: dryRunMessageId } };
+        } else {
+            data = await enqueueMessage({
+                chatKey: `telegram:${payload.chat_id}`,
+                label: `document ${filename}`,
+                payload,
+                deliver: () => {
+                    // Built per attempt: a retry needs a fresh body
+                    const form = new FormData();
+                    Object.entries(payload)
+                        .filter(([key]) => key !== 'document')
+                        .forEach(([key, value]) => form.append(key, String(value)));
+                    form.append(
+                        'document',
+                        new Blob([content], { type: options.contentType || 'application/octet-stream' }),
+                        filename
+                    );
+                    return callTelegramApi('sendDocument', form);
+                },
+            });
         }
 
-        message += `\n`;
-    });
-
-    message += `━━━━━━━━━━━━━━━━━━━━\n`;
-    message += `⚠️ <i>High-impact news may cause significant market volatility.</i>`;
-
-    await sendMessage(message, config.telegram.newsTopicId);
+        logger.info(`Telegram document ${filename} sent successfully`, {
+            event: 'telegram.sent',
+            chatId: payload.chat_id,
+            topicId,
+            document: filename,
+        });
+        recordTelegramSend('success', topicId);
+        return data;
+    } catch (error) {
+        recordTelegramSend(error.code === 'STALE' ? 'stale' : 'failure', topicId);
+        logger.error(`Failed to send Telegram document ${filename}:`, error.message, {
+            event: 'telegram.failed',
+            chatId: payload.chat_id,
+            topicId,
+        });
+        throw error;
+    }
 }
 
 /**
- * Build and send an alert for a single event (5 minutes before it happens)
- * @param {object} event - Single event object
+ * Pin a message in a chat (the bot needs the "pin messages" right)
+ * @param {string|number} chatId
+ * @param {number} messageId
+ * @returns {Promise<object>} Telegram API response
  */
-async function sendSingleEventAlert(event) {
-    const timeStr = formatDateTime(event.date);
-
-    let message = `⏰ <b>Tin sắp ra trong 5 phút!</b>\n`;
-    message += `━━━━━━━━━━━━━━━━━━━━\n\n`;
-
-    message += `${timeStr} 🔴 <b>${event.title}</b>\n`;
-
-    // Include forecast & previous if available
-    if (event.forecast) {
-        message += `📈 Forecast: ${event.forecast}\n`;
+async function pinChatMessage(chatId, messageId) {
+    if (dryRunSink) {
+        dryRunSink({ chat_id: chatId, text: `[pinned message ${messageId}]` });
+        return { ok: true, result: true };
     }
-    if (event.previous) {
-        message += `📉 Previous: ${event.previous}\n`;
+    return callTelegramApi('pinChatMessage', { chat_id: chatId, message_id: messageId, disable_notification: true });
+}
+
+/**
+ * Unpin a message in a chat
+ * @param {string|number} chatId
+ * @param {number} messageId
+ * @returns {Promise<object>} Telegram API response
+ */
+async function unpinChatMessage(chatId, messageId) {
+    if (dryRunSink) {
+        dryRunSink({ chat_id: chatId, text: `[unpinned message ${messageId}]` });
+        return { ok: true, result: true };
     }
+    return callTelegramApi('unpinChatMessage', { chat_id: chatId, message_id: messageId });
+}
 
-    message += `\n━━━━━━━━━━━━━━━━━━━━\n`;
-    message += `⚠️ <i>Prepare for potential market volatility.</i>`;
+/**
+ * Fetch new bot updates with long polling
+ * @param {number} offset - Identifier of the first update to return
+ * @param {number} [timeoutSec] - Long polling timeout in seconds
+ * @returns {Promise<Array>} List of updates
+ */
+async function getUpdates(offset, timeoutSec = 30) {
+    const data = await callTelegramApi(
+        'getUpdates',
+        { offset, timeout: timeoutSec, allowed_updates: ['message'] },
+        // Give the HTTP request a bit longer than the long poll itself
+        { timeout: (timeoutSec + 10) * 1000 }
+    );
+    return data.result || [];
+}
 
-    await sendMessage(message, config.telegram.newsTopicId);
+/**
+ * Hand every outgoing message to a function instead of sending it (null to send again)
+ * @param {Function|null} sink - Receives the sendMessage request body (documents: their metadata and a text line)
+ */
+function setDryRunSink(sink) {
+    dryRunSink = sink;
 }
 
-module.exports = { sendMessage, sendNewsAlert, sendSingleEventAlert };
+module.exports = {
+    callTelegramApi,
+    sendMessage,
+    sendLayout,
+    sendDocument,
+    pinChatMessage,
+    unpinChatMessage,
+    getUpdates,
+    setDryRunSink,
+};
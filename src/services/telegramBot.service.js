@@ -0,0 +1,271 @@
+/**
+ * Service: Telegram bot commands (long polling)
+ *
+ * Answers commands sent in a subscribed chat (in the topic they were sent from),
+ * using the events of that chat's subscription:
+ *   /today    - filtered events for today
+ *   /week     - filtered events for the whole week, grouped by day
+ *   /next     - next upcoming event with a countdown
+ *   /schedule - upcoming volatility slots of every scheduler
+ *   /status   - last fetch time and number of pending jobs
+ */
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'telegramBot' });
+const { sendLayout, getUpdates } = require('./telegram.service');
+const { formatEventBlock, buildNewsAlertMessage } = require('../notifiers/formatters/telegram.formatter');
+const { escapeHtml } = require('./messageRenderer.service');
+const { formatDateTime, getDateKey, formatDateLabel } = require('./timezone.service');
+const { getCalendarEvents, getLastFetchTime } = require('./calendarState.service');
+const { generateUpcomingSchedule } = require('./scheduleGenerator.service');
+const { listAlerts } = require('./alertStore.service');
+const { loadSubscriptions, findSubscriptionForChat } = require('./subscription.service');
+const { loadSchedulerDefinitions } = require('./schedulerDefinitions.service');
+
+const POLL_TIMEOUT_SEC = 30;
+const RETRY_DELAY_MS = 5000;
+const SCHEDULE_PREVIEW_SLOTS = 10;
+const SCHEDULE_PREVIEW_HOURS = 7 * 24;
+
+// Commands older than this (e.g. queued while the bot was down) are ignored
+const MAX_COMMAND_AGE_SEC = 120;
+
+let polling = false;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Format the time left until a date as "1d 2h 5m"
+ * @param {Date} target
+ * @returns {string}
+ */
+function formatCountdown(target) {
+    const totalMinutes = Math.max(0, Math.round((target - Date.now()) / 60000));
+    const days = Math.floor(totalMinutes / (24 * 60));
+    const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+    const minutes = totalMinutes % 60;
+
+    const parts = [];
+    if (days) parts.push(`${days}d`);
+    if (hours) parts.push(`${hours}h`);
+    parts.push(`${minutes}m`);
+    return parts.join(' ');
+}
+
+/**
+ * Sort events chronologically
+ * @param {Array} events
+ * @returns {Array}
+ */
+function sortByDate(events) {
+    return [...events].sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/*
+ * Command handlers receive the chat's subscription and return a message
+ * layout (see messageRenderer.service.js)
+ */
+
+function handleToday(subscription) {
+    const todayKey = getDateKey(new Date().toISOString());
+    const events = sortByDate(getCalendarEvents(subscription.name).filter((e) => getDateKey(e.date) === todayKey));
+
+    if (events.length === 0) {
+        return { title: `📊 No filtered events today (${formatDateLabel(todayKey)}).` };
+    }
+    return buildNewsAlertMessage(events, formatDateLabel(todayKey));
+}
+
+function handleWeek(subscription) {
+    const events = sortByDate(getCalendarEvents(subscription.name));
+
+    if (events.length === 0) {
+        return { title: '📊 No filtered events this week.' };
+    }
+
+    const eventsByDate = {};
+    events.forEach((event) => {
+        const dateKey = getDateKey(event.date);
+        (eventsByDate[dateKey] = eventsByDate[dateKey] || []).push(event);
+    });
+
+    // One block per day keeps a day together when the reply has to be split
+    const blocks = Object.keys(eventsByDate)
+        .sort()
+        .map((dateKey) => {
+            let block = `\n🗓 <b>${formatDateLabel(dateKey)}</b>\n`;
+            eventsByDate[dateKey].forEach((event) => {
+                block += formatEventBlock(event);
+            });
+            return block;
+        });
+
+    return {
+        title: `📅 <b>Economic News - This Week</b>`,
+        intro: `━━━━━━━━━━━━━━━━━━━━\n`,
+        blocks,
+    };
+}
+
+function handleNext(subscription) {
+    const now = Date.now();
+    const next = sortByDate(getCalendarEvents(subscription.name)).find((e) => new Date(e.date).getTime() > now);
+
+    if (!next) {
+        return { title: '📊 No upcoming filtered events this week.' };
+    }
+
+    return {
+        title: `⏭ <b>Next event</b>`,
+        intro: `━━━━━━━━━━━━━━━━━━━━\n\n`,
+        blocks: [formatEventBlock(next)],
+        footer: `\n⏳ In <b>${formatCountdown(new Date(next.date))}</b>`,
+    };
+}
+
+function handleSchedule() {
+    // One block per scheduler definition
+    const blocks = loadSchedulerDefinitions().map((definition) => {
+        const { startTime, timezone, pattern, cloneOffsets, name, level } = definition;
+        const slots = generateUpcomingSchedule(
+            { startTime, timezone, pattern, cloneOffsets },
+            SCHEDULE_PREVIEW_HOURS
+        ).slice(0, SCHEDULE_PREVIEW_SLOTS);
+
+        let block = `🔔 <b>${escapeHtml(name)}</b> - ⚠️ ${escapeHtml(level)}\n`;
+        if (slots.length === 0) {
+            block += 'No upcoming slots.\n';
+        }
+        slots.forEach((date, index) => {
+            block += `${index + 1}. 🕒 ${formatDateTime(date.toISOString())}\n`;
+        });
+        return `${block}\n`;
+    });
+
+    return { title: `🔔 <b>Upcoming volatility slots</b>`, intro: '\n', blocks };
+}
+
+function handleStatus(subscription) {
+    const lastFetch = getLastFetchTime();
+    const now = new Date();
+    const pending = listAlerts({ status: 'pending' }).filter((r) => new Date(r.fireAt) > now);
+
+    const countByType = {};
+    pending.forEach((r) => {
+        countByType[r.type] = (countByType[r.type] || 0) + 1;
+    });
+
+    let body = `🕒 Last fetch: ${lastFetch ? formatDateTime(lastFetch.toISOString()) : 'never'}\n`;
+    body += `📊 Filtered events: ${getCalendarEvents(subscription.name).length}\n`;
+    body += `⏰ Pending jobs: ${pending.length}\n`;
+    Object.keys(countByType)
+        .sort()
+        .forEach((type) => {
+            body += `   • ${escapeHtml(type)}: ${countByType[type]}\n`;
+        });
+
+    return { title: `🩺 <b>Status</b>`, intro: '\n', blocks: [body] };
+}
+
+function handleHelp() {
+    return {
+        title: `🤖 <b>Commands</b>`,
+        intro: '\n',
+        blocks: [
+            `/today - Events for today\n` +
+                `/week - Events for this week\n` +
+                `/next - Next event with countdown\n` +
+                `/schedule - Upcoming volatility slots\n` +
+                `/status - Last fetch time and pending jobs`,
+        ],
+    };
+}
+
+const COMMANDS = {
+    today: handleToday,
+    week: handleWeek,
+    next: handleNext,
+    schedule: handleSchedule,
+    status: handleStatus,
+    help: handleHelp,
+    start: handleHelp,
+};
+
+/**
+ * Handle a single Telegram update
+ * @param {object} update - Telegram update object
+ */
+async function handleUpdate(update) {
+    const message = update.message;
+    if (!message || !message.text || !message.text.startsWith('/')) return;
+
+    // Only answer in subscribed chats
+    const subscription = findSubscriptionForChat(
+        loadSubscriptions(),
+        message.chat.id,
+        message.message_thread_id || null
+    );
+    if (!subscription) return;
+
+    if (Date.now() / 1000 - message.date > MAX_COMMAND_AGE_SEC) return;
+
+    // "/week@MyBot arg" → "week"
+    const command = message.text.split(/\s+/)[0].slice(1).split('@')[0].toLowerCase();
+    const handler = COMMANDS[command];
+    if (!handler) return;
+
+    logger.info(`🤖 Bot command /${command} from chat ${message.chat.id} [${subscription.name}]`);
+
+    try {
+        await sendLayout(handler(subscription), message.message_thread_id || null, {
+            chatId: message.chat.id,
+            replyToMessageId: message.message_id,
+            expiresAt: new Date(Date.now() + MAX_COMMAND_AGE_SEC * 1000),
+        });
+    } catch (error) {
+        logger.error(`Failed to answer /${command}:`, error.message);
+    }
+}
+
+/**
+ * Long polling loop: fetch updates and dispatch commands until stopped
+ */
+async function pollLoop() {
+    let offset = 0;
+
+    while (polling) {
+        try {
+            const updates = await getUpdates(offset, POLL_TIMEOUT_SEC);
+            for (const update of updates) {
+                offset = update.update_id + 1;
+                await handleUpdate(update);
+            }
+        } catch (error) {
+            logger.error('Bot polling failed:', error.message);
+            await sleep(RETRY_DELAY_MS);
+        }
+    }
+}
+
+/**
+ * Start answering bot commands (no-op if disabled in config)
+ */
+function startBotPolling() {
+    if (!config.telegram.commandsEnabled) {
+        logger.info('Bot commands disabled (TELEGRAM_COMMANDS_ENABLED=false)');
+        return;
+    }
+    if (polling) return;
+
+    polling = true;
+    logger.info('🤖 Bot command polling started (/today, /week, /next, /schedule, /status)');
+    pollLoop();
+}
+
+/**
+ * Stop the polling loop after the current long poll returns
+ */
+function stopBotPolling() {
+    polling = false;
+}
+
+module.exports = { startBotPolling, stopBotPolling, handleUpdate, formatCountdown };
@@ -0,0 +1,59 @@
+/**
+ * Service: Test messages
+ *
+ * Sends a sample message to a topic so operators can check the bot token,
+ * chat and topic ids of a deployment (admin API POST /test-alert, CLI `send test`).
+ */
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'testMessage' });
+const { sendMessage } = require('./telegram.service');
+const { escapeHtml } = require('./messageRenderer.service');
+const { formatDateTime } = require('./timezone.service');
+
+/**
+ * Resolve a topic name to a Telegram topic id
+ * @param {string|number} [topic] - "news", "btc" or a numeric topic id (default "news")
+ * @returns {string|null} Topic id (null for a chat without topics)
+ */
+function resolveTopicId(topic = 'news') {
+    const topics = { news: config.telegram.newsTopicId, btc: config.telegram.btcTopicId };
+    const name = String(topic);
+
+    if (Object.prototype.hasOwnProperty.call(topics, name)) {
+        return topics[name] || null;
+    }
+    if (/^\d+$/.test(name)) {
+        return name;
+    }
+    throw new Error(`Unknown topic "${name}": expected "news", "btc" or a numeric topic id`);
+}
+
+/**
+ * Send a test message
+ * @param {object} [options]
+ * @param {string|number} [options.topic] - "news", "btc" or a numeric topic id
+ * @param {string|number} [options.chatId] - Chat to send to (defaults to the configured group)
+ * @param {string} [options.text] - Custom text (plain, escaped)
+ * @param {string} [options.origin] - Where the test was triggered from, shown in the default text
+ * @returns {Promise<{ chatId: string, topicId: string|null, messageId: number|null }>}
+ */
+async function sendTestMessage({ topic, chatId = config.telegram.groupId, text, origin = 'the bot' } = {}) {
+    const topicId = resolveTopicId(topic);
+
+    const message =
+        `🧪 <b>Test alert</b>\n` +
+        `━━━━━━━━━━━━━━━━━━━━\n` +
+        `${text ? escapeHtml(text) : `This is a test message from ${escapeHtml(origin)}.`}\n` +
+        `🕒 ${formatDateTime(new Date().toISOString())}`;
+
+    const result = await sendMessage(message, topicId, { chatId });
+
+    logger.info(`🧪 Test alert sent to chat ${chatId}, topic ${topicId || 'none'}`, {
+        event: 'test_message.sent',
+        chatId,
+        topicId,
+    });
+    return { chatId, topicId, messageId: result && result.result ? result.result.message_id : null };
+}
+
+module.exports = { resolveTopicId, sendTestMessage };
@@ -3,22 +3,29 @@
  *
  * API returns times in ISO 8601 with offset (e.g., -05:00).
  * new Date() automatically parses to UTC internally.
- * We use Intl.DateTimeFormat with the target timezone for correct display,
- * avoiding manual offset arithmetic which can cause double-offset bugs.
+ * We use Intl.DateTimeFormat with the configured IANA timezones for correct
+ * display, avoiding manual offset arithmetic which can cause double-offset bugs.
+ *
+ * - DISPLAY_TIMEZONE: times shown in messages
+ * - SCHEDULE_TIMEZONE: calendar days (event grouping) and wall-clock schedules
+ *   such as the daily digest and the Monday fetch; DST is handled by Intl.
  */
+const config = require('../config/env');
 
-const TARGET_TIMEZONE = 'Asia/Ho_Chi_Minh'; // UTC+7
+const DISPLAY_TIMEZONE = config.timezone.display;
+const SCHEDULE_TIMEZONE = config.timezone.schedule;
 
 /**
- * Format a date string to a readable string in UTC+7
+ * Format a date string to a readable string in the display timezone
  * @param {string} dateStr - ISO 8601 date string (e.g., "2026-02-10T08:30:00-05:00")
+ * @param {string} [timezone] - IANA timezone (defaults to DISPLAY_TIMEZONE)
  * @returns {string} Formatted date string like "10/02/2026 20:30"
  */
-function formatDateTime(dateStr) {
+function formatDateTime(dateStr, timezone = DISPLAY_TIMEZONE) {
     const date = new Date(dateStr);
 
     const formatter = new Intl.DateTimeFormat('en-GB', {
-        timeZone: TARGET_TIMEZONE,
+        timeZone: timezone,
         day: '2-digit',
         month: '2-digit',
         year: 'numeric',
@@ -32,15 +39,16 @@ function formatDateTime(dateStr) {
 }
 
 /**
- * Get the date part only (YYYY-MM-DD) in UTC+7 from an ISO date string
+ * Get the date part only (YYYY-MM-DD) in the scheduling timezone from an ISO date string
  * @param {string} dateStr - ISO 8601 date string
+ * @param {string} [timezone] - IANA timezone (defaults to SCHEDULE_TIMEZONE)
  * @returns {string} Date string like "2026-02-10"
  */
-function getDateKey(dateStr) {
+function getDateKey(dateStr, timezone = SCHEDULE_TIMEZONE) {
     const date = new Date(dateStr);
 
     const formatter = new Intl.DateTimeFormat('en-CA', {
-        timeZone: TARGET_TIMEZONE,
+        timeZone: timezone,
         year: 'numeric',
         month: '2-digit',
         day: '2-digit',
@@ -51,58 +59,112 @@ function getDateKey(dateStr) {
 }
 
 /**
- * Get cron components (hour, minute, day, month) from an ISO date string in UTC+7
- * Used to create dynamic cron expressions for scheduling alerts
- * @param {string} dateStr - ISO 8601 date string
- * @returns {object} { hour, minute, day, month } in UTC+7 timezone
+ * Turn a date key into the label used in messages
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @returns {string} Label like "10/02/2026"
  */
-function getCronComponents(dateStr) {
-    const date = new Date(dateStr);
+function formatDateLabel(dateKey) {
+    const [year, month, day] = dateKey.split('-');
+    return `${day}/${month}/${year}`;
+}
 
-    // Extract each component in UTC+7 timezone
-    const hourFormatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: TARGET_TIMEZONE,
+/**
+ * Get the offset (in ms) between a timezone's wall clock and UTC at a given instant
+ * @param {Date} date - Instant to evaluate
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in milliseconds (e.g. +7h for Asia/Ho_Chi_Minh, +1h/+2h for Europe/Berlin)
+ */
+function getTimezoneOffsetMs(date, timezone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
         hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
         hour12: false,
     });
 
-    const minuteFormatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: TARGET_TIMEZONE,
-        minute: 'numeric',
+    const parts = {};
+    formatter.formatToParts(date).forEach((p) => {
+        parts[p.type] = parseInt(p.value, 10);
     });
 
-    const dayFormatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: TARGET_TIMEZONE,
-        day: 'numeric',
-    });
+    // Intl may render midnight as hour "24"
+    const wallClockAsUtc = Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour % 24,
+        parts.minute,
+        parts.second
+    );
+
+    return wallClockAsUtc - (date.getTime() - date.getMilliseconds());
+}
 
-    const monthFormatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: TARGET_TIMEZONE,
-        month: 'numeric',
-    });
+/**
+ * Convert a wall-clock time on a given day in a timezone to an absolute Date
+ * @param {string} dateKey - Date string in YYYY-MM-DD format
+ * @param {number} hour - Hour of day (0-23)
+ * @param {number} minute - Minute (0-59)
+ * @param {string} [timezone] - IANA timezone (defaults to SCHEDULE_TIMEZONE)
+ * @returns {Date}
+ */
+function zonedTimeToDate(dateKey, hour, minute, timezone = SCHEDULE_TIMEZONE) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Two passes settle the offset when the first guess lands on the other side of a DST change
+    let result = new Date(wallClockAsUtc - getTimezoneOffsetMs(new Date(wallClockAsUtc), timezone));
+    result = new Date(wallClockAsUtc - getTimezoneOffsetMs(result, timezone));
+    return result;
+}
 
-    return {
-        hour: parseInt(hourFormatter.format(date)),
-        minute: parseInt(minuteFormatter.format(date)),
-        day: parseInt(dayFormatter.format(date)),
-        month: parseInt(monthFormatter.format(date)),
-    };
+/**
+ * Build a one-shot node-cron expression (with seconds) for an absolute Date
+ * The expression must be scheduled with the same timezone option.
+ * @param {Date} date - Target instant
+ * @param {string} [timezone] - IANA timezone (defaults to SCHEDULE_TIMEZONE)
+ * @returns {string} Cron expression "ss mm HH dd MM *"
+ */
+function getCronExpression(date, timezone = SCHEDULE_TIMEZONE) {
+    const local = new Date(date.getTime() + getTimezoneOffsetMs(date, timezone));
+
+    return [
+        local.getUTCSeconds(),
+        local.getUTCMinutes(),
+        local.getUTCHours(),
+        local.getUTCDate(),
+        local.getUTCMonth() + 1,
+        '*',
+    ].join(' ');
 }
 
 /**
- * Calculate the alert time (5 minutes before the event) and return cron components
- * @param {string} dateStr - ISO 8601 date string of the event
- * @returns {object} { hour, minute, day, month } for the alert time (5 min before event)
+ * Describe a timezone with its current UTC offset, e.g. "Europe/Berlin (UTC+02:00)"
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [date] - Instant at which the offset is evaluated
+ * @returns {string}
  */
-function getEventAlertTime(dateStr) {
-    const eventDate = new Date(dateStr);
-    
-    // Subtract 5 minutes (5 * 60 * 1000 milliseconds)
-    const alertDate = new Date(eventDate.getTime() - 5 * 60 * 1000);
-    
-    // Convert to ISO string and get cron components
-    return getCronComponents(alertDate.toISOString());
+function describeTimezone(timezone, date = new Date()) {
+    const offsetMinutes = Math.round(getTimezoneOffsetMs(date, timezone) / 60000);
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const hours = String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offsetMinutes) % 60).padStart(2, '0');
+    return `${timezone} (UTC${sign}${hours}:${minutes})`;
 }
 
-module.exports = { formatDateTime, getDateKey, getCronComponents, getEventAlertTime };
+module.exports = {
+    DISPLAY_TIMEZONE,
+    SCHEDULE_TIMEZONE,
+    formatDateTime,
+    getDateKey,
+    formatDateLabel,
+    getTimezoneOffsetMs,
+    zonedTimeToDate,
+    getCronExpression,
+    describeTimezone,
+};
 
@@ -0,0 +1,129 @@
+/**
+ * Service: Weekly outlook of each subscription
+ *
+ * Right after the Monday fetch, subscriptions with the "outlook" alert type get
+ * one message listing the week's filtered events grouped by day, with the
+ * number of events per day and the heaviest days flagged. It is pinned in the
+ * subscription's topic (WEEKLY_OUTLOOK_PIN), replacing last week's outlook.
+ *
+ * With WEEKLY_PREVIEW_ENABLED=true, the same message is built on Sunday evening
+ * from the next-week feed, as a preview (not pinned).
+ *
+ * Each message is a stored alert ("weekly-outlook:<subscription>:<monday>"),
+ * so it is sent once per week and honours quiet hours and mutes.
+ */
+const config = require('../config/env');
+const logger = require('../utils/logger').child({ module: 'weeklyOutlook' });
+const clock = require('../utils/clock');
+const { planAlert } = require('./alertStore.service');
+const { deliverAlert } = require('./alertScheduler.service');
+const { notify } = require('./notifier.service');
+const { wantsAlert, getDestination, getAlertTarget } = require('./subscription.service');
+const { getDateKey, formatDateLabel } = require('./timezone.service');
+
+// Outlooks that could not be sent within this time are not worth sending
+const OUTLOOK_TTL_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Add days to a date key
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Monday of the week containing a time (scheduling timezone)
+ * @param {Date} at
+ * @returns {string} Date key of the Monday
+ */
+function getWeekStart(at) {
+    const dateKey = getDateKey(at.toISOString());
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    return addDays(dateKey, -((weekday + 6) % 7));
+}
+
+/**
+ * Build the outlook alert of a week
+ * Days with the most events are flagged, unless every day has as many.
+ * @param {Array} events - Filtered events of the week
+ * @param {string} weekStart - Date key of the Monday
+ * @param {object} [options]
+ * @param {boolean} [options.preview] - Sunday preview of next week
+ * @returns {object} Alert (see alertContent.js, "weekly-outlook")
+ */
+function buildWeeklyOutlook(events, weekStart, { preview = false } = {}) {
+    const byDate = new Map();
+    [...events]
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .forEach((event) => {
+            const dateKey = getDateKey(event.date);
+            if (!byDate.has(dateKey)) byDate.set(dateKey, []);
+            byDate.get(dateKey).push(event);
+        });
+
+    const counts = [...byDate.values()].map((dayEvents) => dayEvents.length);
+    const max = Math.max(0, ...counts);
+    const flagHeaviest = counts.some((count) => count < max);
+
+    return {
+        type: 'weekly-outlook',
+        preview,
+        weekLabel: `${formatDateLabel(weekStart)} - ${formatDateLabel(addDays(weekStart, 6))}`,
+        total: events.length,
+        days: [...byDate.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([dateKey, dayEvents]) => ({
+                dateKey,
+                dateLabel: formatDateLabel(dateKey),
+                events: dayEvents,
+                heaviest: flagHeaviest && dayEvents.length === max,
+            })),
+    };
+}
+
+/**
+ * Send the weekly outlook (or the Sunday preview) of every subscription that wants it
+ * @param {Array} subscriptions
+ * @param {object} eventsBySubscription - Map of subscription name → filtered events
+ * @param {object} [options]
+ * @param {boolean} [options.preview] - Sunday preview of next week (from the next-week feed)
+ */
+async function sendWeeklyOutlooks(subscriptions, eventsBySubscription, { preview = false } = {}) {
+    const now = clock.now();
+    // On Sunday evening, "next week" starts tomorrow
+    const weekStart = getWeekStart(preview ? new Date(now.getTime() + 24 * 60 * 60 * 1000) : now);
+    const kind = preview ? 'weekly-preview' : 'weekly-outlook';
+
+    for (const subscription of subscriptions.filter((s) => wantsAlert(s, 'outlook'))) {
+        const alert = buildWeeklyOutlook(eventsBySubscription[subscription.name] || [], weekStart, { preview });
+        if (!preview && config.outlook.pin) {
+            alert.pin = 'weekly-outlook';
+        }
+
+        const id = `${kind}:${subscription.name}:${weekStart}`;
+        const label = `[${subscription.name}] ${preview ? 'next week preview' : 'weekly outlook'} ${alert.weekLabel}`;
+        planAlert({
+            id,
+            type: kind,
+            fireAt: now,
+            expiresAt: new Date(now.getTime() + OUTLOOK_TTL_MS),
+            label,
+            payload: { subscription: subscription.name, weekStart, total: alert.total },
+            target: getAlertTarget(subscription),
+        });
+
+        logger.info(`${label}: ${alert.total} event(s) over ${alert.days.length} day(s)`, {
+            event: 'outlook.built',
+            subscription: subscription.name,
+            preview,
+        });
+        await deliverAlert(id, label, () => notify('news', alert, getDestination(subscription)));
+    }
+}
+
+module.exports = { sendWeeklyOutlooks, buildWeeklyOutlook, getWeekStart };
@@ -0,0 +1,68 @@
+/**
+ * Dry run: replay a saved calendar against a virtual clock and print every
+ * message the bot would send (nothing is sent, data/alerts.json is untouched)
+ *
+ * Usage:
+ *   npm run simulate -- --calendar week.json --from 2026-11-02 --to 2026-11-07T23:59 [--json] [--out file] [--no-schedulers]
+ *
+ * Times without an offset are read in SCHEDULE_TIMEZONE; a bare date means 00:00.
+ * --json prints the transcript as JSON (e.g. to keep as a regression fixture).
+ * Logs default to LOG_LEVEL=warn to keep the transcript readable.
+ */
+require('dotenv').config({ quiet: true });
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const logger = require('./utils/logger').child({ module: 'simulate' });
+const { parseArgs } = require('./utils/cliArgs');
+const { zonedTimeToDate } = require('./services/timezone.service');
+const { runSimulation, formatTranscript } = require('./services/simulation.service');
+
+/**
+ * Parse a time argument: ISO 8601 with offset, or a wall-clock time in SCHEDULE_TIMEZONE
+ * @param {string} value - e.g. "2026-11-02", "2026-11-02T07:00", "2026-11-02T00:00:00Z"
+ * @param {string} name - Argument name for errors
+ * @returns {Date}
+ */
+function parseTime(value, name) {
+    if (typeof value !== 'string') {
+        throw new Error(`--${name} is required`);
+    }
+
+    const local = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2}))?$/.exec(value);
+    const date = local ? zonedTimeToDate(local[1], Number(local[2] || 0), Number(local[3] || 0)) : new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid --${name} time "${value}"`);
+    }
+    return date;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (typeof args.calendar !== 'string') {
+        throw new Error('--calendar <file> is required');
+    }
+
+    const transcript = await runSimulation({
+        calendarFile: args.calendar,
+        from: parseTime(args.from, 'from'),
+        to: parseTime(args.to, 'to'),
+        schedulers: !args['no-schedulers'],
+    });
+
+    const output = args.json ? `${JSON.stringify(transcript, null, 2)}\n` : formatTranscript(transcript);
+    if (typeof args.out === 'string') {
+        fs.writeFileSync(args.out, output);
+        process.stderr.write(`Transcript with ${transcript.length} message(s) written to ${args.out}\n`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        logger.error('Simulation failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,29 @@
+/**
+ * Parse command-line arguments: positional words, "--name value" options and "--flag" switches
+ *
+ *   ["preview", "schedule", "--month", "2026-11", "--json"]
+ *   → { _: ["preview", "schedule"], month: "2026-11", json: true }
+ *
+ * @param {Array<string>} argv - Arguments without the node binary and script
+ * @returns {object}
+ */
+function parseArgs(argv) {
+    const args = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            args._.push(argv[i]);
+            continue;
+        }
+
+        const name = argv[i].slice(2);
+        if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            args[name] = argv[++i];
+        } else {
+            args[name] = true;
+        }
+    }
+    return args;
+}
+
+module.exports = { parseArgs };
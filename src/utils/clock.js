@@ -0,0 +1,41 @@
+/**
+ * Clock used by the alert pipeline
+ *
+ * Returns the real time, except during a simulation (see simulation.service.js),
+ * which moves a virtual clock from one job to the next.
+ */
+
+let virtualTime = null;
+
+/**
+ * Current time
+ * @returns {Date}
+ */
+function now() {
+    return virtualTime === null ? new Date() : new Date(virtualTime);
+}
+
+/**
+ * Current time in ms
+ * @returns {number}
+ */
+function nowMs() {
+    return virtualTime === null ? Date.now() : virtualTime;
+}
+
+/**
+ * Freeze the clock at a given time (until moved again or reset)
+ * @param {Date} date
+ */
+function setVirtualTime(date) {
+    virtualTime = date.getTime();
+}
+
+/**
+ * Go back to the real time
+ */
+function useRealTime() {
+    virtualTime = null;
+}
+
+module.exports = { now, nowMs, setVirtualTime, useRealTime };
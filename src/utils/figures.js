@@ -0,0 +1,40 @@
+/**
+ * Calendar figures ("0.3%", "185K", "1.25B") and Actual vs Forecast comparison
+ */
+
+/**
+ * Parse a calendar figure like "0.3%", "-1.2K", "185K" or "1.25B" into a number
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseFigure(value) {
+    if (value === undefined || value === null) return null;
+
+    const match = String(value)
+        .replace(/,/g, '')
+        .trim()
+        .match(/^([<>]?)(-?\d+(?:\.\d+)?)\s*([KMBT%]?)$/i);
+    if (!match) return null;
+
+    const multipliers = { K: 1e3, M: 1e6, B: 1e9, T: 1e12 };
+    const unit = match[3].toUpperCase();
+    return parseFloat(match[2]) * (multipliers[unit] || 1);
+}
+
+/**
+ * Compare the actual figure against the forecast
+ * @param {string} actual
+ * @param {string} forecast
+ * @returns {'beat'|'miss'|'in-line'|null} null when the figures cannot be compared
+ */
+function getOutcomeVerdict(actual, forecast) {
+    const actualValue = parseFigure(actual);
+    const forecastValue = parseFigure(forecast);
+
+    if (actualValue === null || forecastValue === null) return null;
+    if (actualValue > forecastValue) return 'beat';
+    if (actualValue < forecastValue) return 'miss';
+    return 'in-line';
+}
+
+module.exports = { parseFigure, getOutcomeVerdict };
@@ -1,21 +1,180 @@
 /**
- * Simple logger utility with timestamp and level prefixes
- */
-const logger = {
-    info: (...args) => {
-        console.log(`[${new Date().toISOString()}] [INFO]`, ...args);
-    },
-    warn: (...args) => {
-        console.warn(`[${new Date().toISOString()}] [WARN]`, ...args);
-    },
-    error: (...args) => {
-        console.error(`[${new Date().toISOString()}] [ERROR]`, ...args);
-    },
-    debug: (...args) => {
-        if (process.env.NODE_ENV === 'development') {
-            console.log(`[${new Date().toISOString()}] [DEBUG]`, ...args);
+ * Logger: leveled, structured logging to the console and an optional rotating file
+ *
+ * Usage:
+ *   const logger = require('../utils/logger').child({ module: 'weeklyFetch' });
+ *   logger.info('Fetched 42 events');
+ *   logger.info('Alert sent', { event: 'alert.sent', alertId });
+ *   logger.error('Send failed:', error);
+ *
+ * A plain object as last argument carries fields (`event` plus any context);
+ * Error arguments are reported with their message and stack.
+ * `child(fields)` returns a logger that adds the fields to every entry, which
+ * is how modules and jobs (alert id, event title, ...) attach their context.
+ *
+ * Output (LOG_FORMAT):
+ *   text: [2026-10-19T07:00:00.000Z] [INFO] [weeklyFetch] Fetched 42 events event=fetch.completed
+ *   json: {"timestamp":"...","level":"info","module":"weeklyFetch","event":"fetch.completed","message":"Fetched 42 events"}
+ * JSON messages have their leading emoji/bullets stripped.
+ */
+const util = require('util');
+const config = require('../config/env');
+const { createRotatingFile } = require('./rotatingFile');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Default event name of entries logged without one
+const DEFAULT_EVENT = 'log';
+
+let fileSink = null;
+
+/**
+ * Check whether an argument is a plain fields object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isFields(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Remove leading emoji, arrows and bullets from a message ("🔔 Alert" → "Alert")
+ * @param {string} message
+ * @returns {string}
+ */
+function stripDecorations(message) {
+    return message.replace(/^[^\p{L}\p{N}[("'<]+/u, '');
+}
+
+/**
+ * Build a log entry from logger arguments
+ * @param {string} level
+ * @param {object} context - Fields of the (child) logger
+ * @param {Array} args
+ * @returns {object} { timestamp, level, module, event, message, error?, ...fields }
+ */
+function buildEntry(level, context, args) {
+    const fields = args.length > 1 && isFields(args[args.length - 1]) ? args.pop() : {};
+
+    let error = null;
+    const parts = args.map((arg) => {
+        if (arg instanceof Error) {
+            error = error || arg;
+            return arg.message;
         }
-    },
-};
+        return typeof arg === 'string' ? arg : util.inspect(arg, { depth: 4, breakLength: Infinity });
+    });
+
+    const { module = null, event = DEFAULT_EVENT, ...rest } = { ...context, ...fields };
+    const entry = { timestamp: new Date().toISOString(), level, module, event, message: parts.join(' '), ...rest };
+    if (error) {
+        entry.error = { message: error.message, stack: error.stack };
+    }
+    return entry;
+}
+
+/**
+ * Render an entry as a human readable line
+ * @param {object} entry
+ * @returns {string}
+ */
+function formatText(entry) {
+    const { timestamp, level, module, event, message, error, ...rest } = entry;
+    const extras = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    if (event !== DEFAULT_EVENT) extras.unshift(`event=${event}`);
+
+    let line = `[${timestamp}] [${level.toUpperCase()}]`;
+    if (module) line += ` [${module}]`;
+    line += ` ${message}`;
+    if (extras.length) line += ` ${extras.join(' ')}`;
+    if (error && level === 'error' && error.stack) line += `\n${error.stack}`;
+    return line;
+}
+
+/**
+ * Render an entry as one JSON line
+ * @param {object} entry
+ * @returns {string}
+ */
+function formatJson(entry) {
+    return JSON.stringify({ ...entry, message: stripDecorations(entry.message) });
+}
+
+/**
+ * Render an entry in a format
+ * @param {object} entry
+ * @param {string} format - text | json
+ * @returns {string}
+ */
+function formatEntry(entry, format) {
+    return format === 'json' ? formatJson(entry) : formatText(entry);
+}
+
+/**
+ * The file sink of LOG_FILE (created on first use)
+ * @returns {object|null}
+ */
+function getFileSink() {
+    if (!config.logging.file) return null;
+    if (!fileSink) {
+        fileSink = createRotatingFile({
+            file: config.logging.file,
+            maxBytes: config.logging.maxSizeMb * 1024 * 1024,
+            retentionDays: config.logging.retentionDays,
+        });
+    }
+    return fileSink;
+}
+
+/**
+ * Write an entry to a rotating file, reporting (not throwing) write errors
+ * @param {object} sink
+ * @param {string} line
+ */
+function writeToFile(sink, line) {
+    try {
+        sink.write(line);
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] [ERROR] Failed to write log file ${sink.file}: ${error.message}`);
+    }
+}
+
+/**
+ * Create a logger
+ * @param {object} [context] - Fields added to every entry (module, alertId, ...)
+ * @param {object} [options]
+ * @param {boolean} [options.console] - Write to the console (default true)
+ * @param {object} [options.sink] - Rotating file to write to (default: LOG_FILE)
+ * @returns {object} Logger with debug/info/warn/error/child
+ */
+function createLogger(context = {}, { console: toConsole = true, sink } = {}) {
+    const threshold = LEVELS[config.logging.level];
+
+    const log = (level) => (...args) => {
+        if (LEVELS[level] < threshold) return;
+
+        const entry = buildEntry(level, context, args);
+        const line = formatEntry(entry, config.logging.format);
+
+        if (toConsole) {
+            const write = { warn: console.warn, error: console.error }[level] || console.log;
+            write(line);
+        }
+
+        const target = sink === undefined ? getFileSink() : sink;
+        if (target) writeToFile(target, line);
+    };
+
+    return {
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        child: (fields) => createLogger({ ...context, ...fields }, { console: toConsole, sink }),
+    };
+}
+
+const logger = createLogger();
+logger.createLogger = createLogger;
 
 module.exports = logger;
@@ -0,0 +1,129 @@
+/**
+ * Append-only log file with size- and date-based rotation
+ *
+ * The active file keeps its configured name (e.g. logs/app.log). It is rotated
+ *   - when the (UTC) day changes:          logs/app-2026-10-18.log
+ *   - when it would grow past maxBytes:    logs/app-2026-10-19.1.log, .2.log, ...
+ * Rotated files older than retentionDays are deleted.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC date key of a time
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+function utcDateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Create a rotating file writer
+ * @param {object} options
+ * @param {string} options.file - Active file path
+ * @param {number} [options.maxBytes] - Rotate before the file grows past this size (0 = no limit)
+ * @param {number} [options.retentionDays] - Delete rotated files older than this (0 = keep all)
+ * @returns {{ write: Function, listFiles: Function, file: string }}
+ */
+function createRotatingFile({ file, maxBytes = 0, retentionDays = 0 }) {
+    const filePath = path.resolve(file);
+    const dir = path.dirname(filePath);
+    const ext = path.extname(filePath);
+    const base = path.basename(filePath, ext);
+
+    // Rotated names: <base>-YYYY-MM-DD[.N]<ext>
+    const rotatedPattern = new RegExp(`^${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-(\\d{4}-\\d{2}-\\d{2})(\\.\\d+)?${ext.replace('.', '\\.')}$`);
+
+    let size = null;
+    let day = null;
+
+    /**
+     * Load the active file's size and day (from its mtime) on first write
+     */
+    function init() {
+        fs.mkdirSync(dir, { recursive: true });
+        if (fs.existsSync(filePath)) {
+            const stat = fs.statSync(filePath);
+            size = stat.size;
+            day = utcDateKey(stat.mtime);
+        } else {
+            size = 0;
+            day = utcDateKey(new Date());
+        }
+        prune();
+    }
+
+    /**
+     * Rename the active file to a free rotated name for its day
+     */
+    function rotate() {
+        if (!fs.existsSync(filePath)) return;
+
+        let target = path.join(dir, `${base}-${day}${ext}`);
+        for (let n = 1; fs.existsSync(target); n++) {
+            target = path.join(dir, `${base}-${day}.${n}${ext}`);
+        }
+        fs.renameSync(filePath, target);
+        size = 0;
+        prune();
+    }
+
+    /**
+     * Delete rotated files past the retention period
+     */
+    function prune() {
+        if (!retentionDays) return;
+
+        const cutoff = utcDateKey(new Date(Date.now() - retentionDays * DAY_MS));
+        fs.readdirSync(dir).forEach((name) => {
+            const match = name.match(rotatedPattern);
+            if (match && match[1] < cutoff) {
+                fs.unlinkSync(path.join(dir, name));
+            }
+        });
+    }
+
+    /**
+     * Append a line (a newline is added)
+     * @param {string} line
+     */
+    function write(line) {
+        if (size === null) init();
+
+        const data = `${line}\n`;
+        const bytes = Buffer.byteLength(data);
+        const today = utcDateKey(new Date());
+
+        if (today !== day) {
+            rotate();
+            day = today;
+        } else if (maxBytes && size > 0 && size + bytes > maxBytes) {
+            rotate();
+        }
+
+        fs.appendFileSync(filePath, data);
+        size += bytes;
+    }
+
+    /**
+     * Paths of the rotated files and the active file, if present (oldest first)
+     * @returns {Array<string>}
+     */
+    function listFiles() {
+        if (!fs.existsSync(dir)) return [];
+
+        const rotated = fs
+            .readdirSync(dir)
+            .filter((name) => rotatedPattern.test(name))
+            .sort()
+            .map((name) => path.join(dir, name));
+        return fs.existsSync(filePath) ? [...rotated, filePath] : rotated;
+    }
+
+    return { write, listFiles, file: filePath };
+}
+
+module.exports = { createRotatingFile };